@@ -0,0 +1,211 @@
+const express = require('express');
+const crypto = require('crypto');
+const { db } = require('../database/db');
+const router = express.Router();
+
+// Self-hosted, cookieless page-view analytics. Pages send a beacon (js/analytics.js) with
+// their path and referrer; we store the path, the referrer's host, a coarse device class
+// and a visitor hash. The hash mixes IP and User-Agent with a random salt that lives only
+// in memory and is replaced every UTC day, so visitors can be counted per day but not
+// followed across days — and a restart simply starts a fresh salt.
+//
+// Raw views are kept for the longest summary range. A daily job rolls older ones up into
+// page_views_daily (views and visitors per day and path) and deletes them, so the table
+// stops growing while each post's all-time view count stays right.
+
+const MAX_PATH_LENGTH = 200;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 365;
+const TOP_LIMIT = 10;
+const ADMIN_PATH = process.env.ADMIN_PATH || '/admin';
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse|curl|wget|python|node-fetch/i;
+
+// Middleware to check admin auth
+const requireAuth = (req, res, next) => {
+    if (!req.session.isAdmin) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+};
+
+let currentSalt = { day: null, value: null };
+
+function dailySalt() {
+    const day = new Date().toISOString().slice(0, 10);
+    if (currentSalt.day !== day) {
+        currentSalt = { day, value: crypto.randomBytes(32).toString('hex') };
+    }
+    return currentSalt.value;
+}
+
+function visitorHash(req) {
+    const ip = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent') || '';
+    return crypto.createHash('sha256').update(`${dailySalt()}:${ip}:${userAgent}`).digest('hex');
+}
+
+// 'mobile', 'tablet' or 'desktop' from the User-Agent; null for bots (not recorded)
+function deviceClass(userAgent) {
+    if (!userAgent || BOT_PATTERN.test(userAgent)) return null;
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+// Path without query string or fragment; null for anything we don't track
+function cleanPath(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//')) return null;
+    const path = value.split(/[?#]/)[0].slice(0, MAX_PATH_LENGTH);
+    if (path.startsWith('/api/') || path === ADMIN_PATH || path.startsWith(`${ADMIN_PATH}/`)) return null;
+    return path;
+}
+
+// Host of an external referrer; own-site navigation counts as no referrer
+function referrerHost(value, req) {
+    if (typeof value !== 'string' || !value) return null;
+    try {
+        const host = new URL(value).hostname.replace(/^www\./, '').toLowerCase();
+        const ownHost = (req.hostname || '').replace(/^www\./, '').toLowerCase();
+        return host && host !== ownHost ? host.slice(0, 100) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The blog post a /blog/:slug path refers to (current or previous slug), if any
+function blogIdForPath(path, callback) {
+    const match = path.match(/^\/blog\/([^/]+)\/?$/);
+    if (!match) return callback(null, null);
+    let slug;
+    try { slug = decodeURIComponent(match[1]); } catch (e) { return callback(null, null); }
+    db.get(
+        `SELECT id FROM blog WHERE slug = ? OR id = ?
+         UNION ALL SELECT item_id FROM slug_redirects WHERE table_name = 'blog' AND old_slug = ?
+         LIMIT 1`,
+        [slug, slug, slug],
+        (err, row) => callback(err, row ? row.id : null)
+    );
+}
+
+// Roll raw views older than MAX_RANGE_DAYS into daily totals and delete them (daily job).
+// Resolves with the number of raw rows removed.
+function rollUpPageViews() {
+    // Whole days only, so a day is never split between the two tables
+    const cutoff = `date('now', '-${MAX_RANGE_DAYS} days')`;
+    return new Promise((resolve, reject) => {
+        db.get(`SELECT COUNT(*) AS count FROM page_views WHERE created_at < ${cutoff}`, [], (countErr, row) => {
+            if (countErr) return reject(countErr);
+            if (row.count === 0) return resolve(0);
+            // The cutoff is built from a constant; exec runs the batch as one transaction
+            db.exec(`
+                BEGIN;
+                INSERT INTO page_views_daily (date, path, blog_id, views, visitors)
+                    SELECT date(created_at), path, MAX(blog_id), COUNT(*), COUNT(DISTINCT visitor_hash)
+                    FROM page_views WHERE created_at < ${cutoff}
+                    GROUP BY date(created_at), path
+                    ON CONFLICT (date, path) DO UPDATE SET
+                        views = views + excluded.views,
+                        visitors = visitors + excluded.visitors;
+                DELETE FROM page_views WHERE created_at < ${cutoff};
+                COMMIT;
+            `, (err) => {
+                if (err) return db.run('ROLLBACK', () => reject(err));
+                resolve(row.count);
+            });
+        });
+    });
+}
+
+// Page-view beacon (public). Always answers 204 so the beacon never shows errors.
+// Body: { path, referrer } — sent as text/plain by navigator.sendBeacon.
+router.post('/view', express.text({ type: 'text/plain', limit: '2kb' }), (req, res) => {
+    res.status(204).end();
+
+    // Skip admins, bots and visitors asking not to be tracked
+    if (req.session.isAdmin || req.get('DNT') === '1' || req.get('Sec-GPC') === '1') return;
+    const device = deviceClass(req.get('User-Agent'));
+    if (!device) return;
+
+    let body = req.body;
+    if (typeof body === 'string') {
+        try { body = JSON.parse(body); } catch (e) { return; }
+    }
+    const path = cleanPath(body && body.path);
+    if (!path) return;
+
+    blogIdForPath(path, (err, blogId) => {
+        if (err) console.error('Error resolving page view post:', err);
+        db.run(
+            'INSERT INTO page_views (path, blog_id, referrer_host, device, visitor_hash) VALUES (?, ?, ?, ?, ?)',
+            [path, blogId || null, referrerHost(body.referrer, req), device, visitorHash(req)],
+            (insErr) => { if (insErr) console.error('Error recording page view:', insErr); }
+        );
+    });
+});
+
+// Promisified db.all for running the summary queries side by side
+function all(sql, params) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+// Analytics summary for the dashboard (admin only): ?days=30 (1-365).
+// Visitors are unique per day, so a range's visitor total is the sum of daily uniques.
+router.get('/summary', requireAuth, async (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || DEFAULT_RANGE_DAYS, 1), MAX_RANGE_DAYS);
+    const since = `-${days - 1} days`;
+    const inRange = "pv.created_at >= date('now', ?)";
+
+    try {
+        const [daily, topPosts, pages, referrers, devices, posts] = await Promise.all([
+            all(`SELECT date(pv.created_at) AS date, COUNT(*) AS views, COUNT(DISTINCT pv.visitor_hash) AS visitors
+                 FROM page_views pv WHERE ${inRange} GROUP BY date(pv.created_at) ORDER BY date`, [since]),
+            all(`SELECT b.id, b.title, b.slug, COUNT(*) AS views
+                 FROM page_views pv JOIN blog b ON b.id = pv.blog_id
+                 WHERE ${inRange} AND b.deleted_at IS NULL
+                 GROUP BY b.id ORDER BY views DESC LIMIT ${TOP_LIMIT}`, [since]),
+            all(`SELECT pv.path, COUNT(*) AS views FROM page_views pv WHERE ${inRange}
+                 GROUP BY pv.path ORDER BY views DESC LIMIT ${TOP_LIMIT}`, [since]),
+            all(`SELECT pv.referrer_host AS host, COUNT(*) AS views FROM page_views pv WHERE ${inRange}
+                 GROUP BY pv.referrer_host ORDER BY views DESC LIMIT ${TOP_LIMIT}`, [since]),
+            all(`SELECT pv.device, COUNT(*) AS views FROM page_views pv WHERE ${inRange}
+                 GROUP BY pv.device ORDER BY views DESC`, [since]),
+            all(`SELECT b.id, b.title, b.slug,
+                        COUNT(CASE WHEN ${inRange} THEN 1 END) AS views,
+                        COUNT(pv.id) + COALESCE((SELECT SUM(d.views) FROM page_views_daily d WHERE d.blog_id = b.id), 0) AS total_views
+                 FROM blog b LEFT JOIN page_views pv ON pv.blog_id = b.id
+                 WHERE b.deleted_at IS NULL
+                 GROUP BY b.id ORDER BY views DESC, total_views DESC, b.title COLLATE NOCASE`, [since])
+        ]);
+
+        // One entry per day of the range, zero-filled
+        const byDate = new Map(daily.map(d => [d.date, d]));
+        const timeline = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+            timeline.push(byDate.get(date) || { date, views: 0, visitors: 0 });
+        }
+
+        res.json({
+            days,
+            totals: {
+                views: timeline.reduce((sum, d) => sum + d.views, 0),
+                visitors: timeline.reduce((sum, d) => sum + d.visitors, 0)
+            },
+            daily: timeline,
+            topPosts,
+            pages,
+            referrers,
+            devices,
+            posts
+        });
+    } catch (err) {
+        console.error('Error fetching analytics:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
+module.exports.rollUpPageViews = rollUpPageViews;
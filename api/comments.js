@@ -0,0 +1,248 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../database/db');
+const { isPubliclyVisible } = require('./visibility');
+const { isHoneypotFilled, checkDevice, recordSubmission, checkEmail } = require('./submission-checks');
+const router = express.Router();
+
+// Reader comments on blog posts. Public: GET/POST /api/content/blog/:id/comments.
+// Admin: the moderation queue under /api/comments (approve, reject, mark as spam,
+// reply, delete). Only approved comments are ever shown publicly.
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_AUTHOR = 'Bishwash Acharya';
+
+// Middleware to check admin auth
+const requireAuth = (req, res, next) => {
+    if (!req.session.isAdmin) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+};
+
+// A post by id or slug that the requester may see (admins see drafts too)
+function findPost(req, value, callback) {
+    db.get(
+        'SELECT id, title, slug, author, hidden, published, publish_at FROM blog WHERE (id = ? OR slug = ?) AND deleted_at IS NULL',
+        [value, value],
+        (err, post) => {
+            if (err || !post) return callback(err, null);
+            if (!req.session.isAdmin && !isPubliclyVisible('blog', post)) return callback(null, null);
+            callback(null, post);
+        }
+    );
+}
+
+// Nest approved comments under their parents; replies to comments that aren't
+// approved are left out with them
+function buildThreads(rows) {
+    const nodes = new Map(rows.map(row => [row.id, {
+        id: row.id,
+        name: row.name,
+        content: row.content,
+        created_at: row.created_at,
+        admin: row.is_admin === 1 && row.show_badge === 1,
+        replies: []
+    }]));
+    const threads = [];
+    rows.forEach(row => {
+        if (!row.parent_id) return threads.push(nodes.get(row.id));
+        const parent = nodes.get(row.parent_id);
+        if (parent) parent.replies.push(nodes.get(row.id));
+    });
+    return threads;
+}
+
+// Approved comments of a post, threaded, oldest first
+router.get('/content/blog/:id/comments', (req, res) => {
+    findPost(req, req.params.id, (err, post) => {
+        if (err) { console.error('Error fetching blog post:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!post) return res.status(404).json({ error: 'Not found' });
+        db.all(
+            "SELECT id, parent_id, name, content, is_admin, show_badge, created_at FROM comments WHERE post_id = ? AND status = 'approved' ORDER BY created_at, rowid",
+            [post.id],
+            (listErr, rows) => {
+                if (listErr) { console.error('Error fetching comments:', listErr); return res.status(500).json({ error: 'Internal server error' }); }
+                const comments = buildThreads(rows);
+                const countAll = (list) => list.reduce((sum, c) => sum + 1 + countAll(c.replies), 0);
+                res.json({ count: countAll(comments), comments });
+            }
+        );
+    });
+});
+
+// Submit a comment or reply (public) — held for moderation
+router.post('/content/blog/:id/comments', async (req, res) => {
+    const { name, email, content, parent_id: parentId, website } = req.body;
+
+    // Honeypot check — hidden field that only bots fill in
+    if (isHoneypotFilled(website)) {
+        console.warn('🤖 Honeypot triggered — bot comment blocked');
+        return res.json({ success: true, message: 'Thanks! Your comment will appear once it has been approved.' }); // fake success
+    }
+
+    // Device protection check (responds with 429 itself when the device is throttled)
+    const protectionResult = await checkDevice(req, res, 'comments');
+    if (!protectionResult) return;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: 'Name must be between 1 and ' + MAX_NAME_LENGTH + ' characters' });
+    }
+
+    if (typeof content !== 'string' || content.trim().length === 0 || content.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: 'Comment must be between 1 and ' + MAX_COMMENT_LENGTH + ' characters' });
+    }
+
+    if (parentId !== undefined && parentId !== null && typeof parentId !== 'string') {
+        return res.status(400).json({ error: 'parent_id must be a comment id' });
+    }
+
+    const emailError = await checkEmail(email);
+    if (emailError) {
+        return res.status(400).json(emailError);
+    }
+
+    findPost(req, req.params.id, (err, post) => {
+        if (err) { console.error('Error fetching blog post:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!post) return res.status(404).json({ error: 'Not found' });
+
+        // Replies must go under an approved comment on the same post
+        const checkParent = (cb) => {
+            if (!parentId) return cb(null, true);
+            db.get(
+                "SELECT id FROM comments WHERE id = ? AND post_id = ? AND status = 'approved'",
+                [parentId, post.id],
+                (parentErr, parent) => cb(parentErr, !!parent)
+            );
+        };
+
+        checkParent((parentErr, parentOk) => {
+            if (parentErr) { console.error('Error fetching parent comment:', parentErr); return res.status(500).json({ error: 'Internal server error' }); }
+            if (!parentOk) return res.status(400).json({ error: 'The comment you are replying to was not found' });
+
+            const id = uuidv4();
+            db.run(
+                'INSERT INTO comments (id, post_id, parent_id, name, email, content) VALUES (?, ?, ?, ?, ?, ?)',
+                [id, post.id, parentId || null, name.trim(), email.trim().toLowerCase(), content.trim()],
+                (insErr) => {
+                    if (insErr) {
+                        console.error('Database error saving comment:', insErr);
+                        return res.status(500).json({ error: 'Failed to save comment' });
+                    }
+
+                    // Record successful submission for device protection
+                    recordSubmission(req, 'comments');
+
+                    const responseData = { success: true, message: 'Thanks! Your comment will appear once it has been approved.' };
+                    if (protectionResult.action === 'warning') {
+                        responseData.warning = protectionResult.message;
+                    }
+                    res.json(responseData);
+                }
+            );
+        });
+    });
+});
+
+// Moderation queue (admin only): ?status=pending (default) | approved | rejected | spam | all.
+// Includes per-status counts for the dashboard tabs.
+router.get('/comments', requireAuth, (req, res) => {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !COMMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${COMMENT_STATUSES.join(', ')}, all` });
+    }
+    db.all(
+        `SELECT c.*, b.title AS post_title, b.slug AS post_slug, p.name AS parent_name, p.content AS parent_content
+         FROM comments c
+         LEFT JOIN blog b ON b.id = c.post_id
+         LEFT JOIN comments p ON p.id = c.parent_id
+         ${status === 'all' ? '' : 'WHERE c.status = ?'}
+         ORDER BY c.created_at DESC, c.rowid DESC`,
+        status === 'all' ? [] : [status],
+        (err, comments) => {
+            if (err) { console.error('Error fetching comments:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            db.all('SELECT status, COUNT(*) AS count FROM comments GROUP BY status', [], (countErr, rows) => {
+                if (countErr) { console.error('Error counting comments:', countErr); return res.status(500).json({ error: 'Internal server error' }); }
+                const counts = Object.fromEntries(COMMENT_STATUSES.map(s => [s, 0]));
+                rows.forEach(row => { counts[row.status] = row.count; });
+                res.json({ comments, counts });
+            });
+        }
+    );
+});
+
+// Approve, reject or mark a comment as spam (admin only)
+router.patch('/comments/:id', requireAuth, (req, res) => {
+    const { status } = req.body;
+    if (!COMMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+    db.run(
+        'UPDATE comments SET status = ?, moderated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [status, req.params.id],
+        function(err) {
+            if (err) { console.error('Error moderating comment:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            if (this.changes === 0) return res.status(404).json({ error: 'Comment not found' });
+            res.json({ success: true, status });
+        }
+    );
+});
+
+// Reply to a comment as the site author (admin only). Published straight away; replying
+// also approves the comment being answered. { content, badge } — badge (default true)
+// shows the author badge next to the reply.
+router.post('/comments/:id/reply', requireAuth, (req, res) => {
+    const { content } = req.body;
+    const badge = req.body.badge === undefined ? true : !!req.body.badge;
+    if (typeof content !== 'string' || content.trim().length === 0 || content.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: 'Reply must be between 1 and ' + MAX_COMMENT_LENGTH + ' characters' });
+    }
+
+    db.get(
+        'SELECT c.id, c.post_id, b.author FROM comments c LEFT JOIN blog b ON b.id = c.post_id WHERE c.id = ?',
+        [req.params.id],
+        (err, parent) => {
+            if (err) { console.error('Error fetching comment:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            if (!parent) return res.status(404).json({ error: 'Comment not found' });
+
+            const id = uuidv4();
+            db.run(
+                `INSERT INTO comments (id, post_id, parent_id, name, content, status, is_admin, show_badge, moderated_at)
+                 VALUES (?, ?, ?, ?, ?, 'approved', 1, ?, CURRENT_TIMESTAMP)`,
+                [id, parent.post_id, parent.id, parent.author || DEFAULT_AUTHOR, content.trim(), badge ? 1 : 0],
+                (insErr) => {
+                    if (insErr) { console.error('Error replying to comment:', insErr); return res.status(500).json({ error: 'Internal server error' }); }
+                    db.run(
+                        "UPDATE comments SET status = 'approved', moderated_at = CURRENT_TIMESTAMP WHERE id = ? AND status != 'approved'",
+                        [parent.id],
+                        (approveErr) => {
+                            if (approveErr) { console.error('Error approving comment:', approveErr); return res.status(500).json({ error: 'Internal server error' }); }
+                            res.json({ success: true, id });
+                        }
+                    );
+                }
+            );
+        }
+    );
+});
+
+// Delete a comment and every reply under it (admin only)
+router.delete('/comments/:id', requireAuth, (req, res) => {
+    db.run(
+        `WITH RECURSIVE thread(id) AS (
+            SELECT id FROM comments WHERE id = ?
+            UNION ALL SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+        )
+        DELETE FROM comments WHERE id IN (SELECT id FROM thread)`,
+        [req.params.id],
+        function(err) {
+            if (err) { console.error('Error deleting comment:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            if (this.changes === 0) return res.status(404).json({ error: 'Comment not found' });
+            res.json({ success: true, deleted: this.changes });
+        }
+    );
+});
+
+module.exports = router;
@@ -1,19 +1,12 @@
 const express = require('express');
 const nodemailer = require('nodemailer');
 const escapeHtml = require('escape-html');
-const validator = require('validator');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../database/db');
 const { decrypt } = require('./crypto-utils');
-const EmailVerificationService = require('./email-verification');
-const DeviceProtection = require('./device-protection');
+const { isHoneypotFilled, checkDevice, recordSubmission, checkEmail } = require('./submission-checks');
 const router = express.Router();
 
-// Initialize services
-const emailVerifier = new EmailVerificationService();
-const deviceProtection = new DeviceProtection();
-deviceProtection.startCleanupInterval();
-
 // Input validation constants
 const MAX_MESSAGE_LENGTH = 5000;
 const MAX_SUBJECT_LENGTH = 200;
@@ -53,70 +46,19 @@ const escapeCsv = (value) => {
     return `"${safe}"`;
 };
 
-// Enhanced email validation
-function validateEmail(email) {
-    const disposableDomains = [
-        '10minutemail.com', 'tempmail.org', 'guerrillamail.com',
-        'mailinator.com', 'yopmail.com', 'temp-mail.org',
-        'throwaway.email', 'maildrop.cc', 'tempmail.de',
-        '10minutemail.co', 'temp-mail.org', 'yopmail.net',
-        'maildrop.cc', '20minutemail.com', 'guerrillamail.de'
-    ];
-    
-    const suspiciousPatterns = [
-        /^[a-z]{1,2}\d{3,}@/, // 1-2 letters + 3+ numbers@ (like ab123@)
-        /test123|demo123|fake123|sample123/i, // specific test patterns
-        /^test@|^demo@|^fake@|^sample@|^random@/i // exact suspicious usernames (noreply is allowed)
-    ];
-    
-    const atIndex = email.indexOf('@');
-    if (atIndex === -1) return { valid: false, message: 'Please enter a valid email address' };
-    const domain = email.slice(atIndex + 1).toLowerCase();
-    
-    // Check for disposable email
-    if (disposableDomains.some(disposable => domain.includes(disposable))) {
-        return { valid: false, message: 'Please use a permanent email address (no disposable emails allowed)' };
-    }
-    
-    // Check for suspicious patterns (more specific now)
-    if (suspiciousPatterns.some(pattern => pattern.test(email))) {
-        return { valid: false, message: 'Please use a real email address' };
-    }
-    
-    return { valid: true };
-}
-
 // Submit contact form (public)
 router.post('/', async (req, res) => {
     const { name, email, subject, message, website } = req.body;
     
     // Honeypot check — hidden field that only bots fill in
-    if (website && website.trim().length > 0) {
+    if (isHoneypotFilled(website)) {
         console.warn('🤖 Honeypot triggered — bot submission blocked');
         return res.json({ success: true, message: 'Message sent successfully!' }); // fake success
     }
     
-    // Device protection check
-    const protectionResult = await deviceProtection.checkDevice(req);
-    
-    if (!protectionResult.allowed) {
-        
-        if (protectionResult.action === 'block') {
-            return res.status(429).json({ 
-                error: protectionResult.message,
-                action: 'block',
-                retryAfter: protectionResult.retryAfter
-            });
-        }
-        
-        if (protectionResult.action === 'captcha') {
-            return res.status(429).json({ 
-                error: protectionResult.message,
-                action: 'captcha',
-                captchaRequired: true
-            });
-        }
-    }
+    // Device protection check (responds with 429 itself when the device is throttled)
+    const protectionResult = await checkDevice(req, res, 'contact');
+    if (!protectionResult) return;
     
     // Input validation
     if (!name || !email || !message) {
@@ -128,34 +70,9 @@ router.post('/', async (req, res) => {
         return res.status(400).json({ error: 'Name must be between 1 and ' + MAX_NAME_LENGTH + ' characters' });
     }
     
-    if (!email || typeof email !== 'string') {
-        return res.status(400).json({ error: 'Email is required' });
-    }
-    
-    if (!validator.isEmail(email)) {
-        return res.status(400).json({ error: 'Please provide a valid email address' });
-    }
-
-    // Fast synchronous check: disposable domains & suspicious patterns
-    const basicCheck = validateEmail(email);
-    if (!basicCheck.valid) {
-        return res.status(400).json({ error: basicCheck.message });
-    }
-    
-    // Professional email verification
-    try {
-        const verificationResult = await emailVerifier.verifyEmail(email);
-        
-        if (!verificationResult.valid) {
-            return res.status(400).json({ 
-                error: 'Please use a real, permanent email address. Disposable or fake emails are not allowed.',
-                reason: verificationResult.reason,
-                method: verificationResult.method
-            });
-        }
-    } catch (error) {
-        console.error('Email verification service error:', error);
-        // Continue with basic validation if service fails
+    const emailError = await checkEmail(email);
+    if (emailError) {
+        return res.status(400).json(emailError);
     }
     
     if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_MESSAGE_LENGTH) {
@@ -212,8 +129,7 @@ router.post('/', async (req, res) => {
             }
             
             // Record successful submission for device protection
-            const fingerprint = deviceProtection.getDeviceFingerprint(req);
-            deviceProtection.recordSubmission(fingerprint);
+            recordSubmission(req, 'contact');
             
             // Include warning info if applicable
             const responseData = { success: true, message: 'Message sent successfully' };
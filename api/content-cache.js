@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { db } = require('../database/db');
+const { BLOG_LIVE_SQL } = require('./visibility');
+const { toDate } = require('./site-utils');
+
+// In-memory cache and conditional GET for the public content API. Each collection (a
+// content table, or 'settings') has a validator worked out from its rows — row count,
+// newest updated_at and, for the blog, how many posts are live — plus a version that every
+// invalidation bumps (updated_at only has one-second resolution, so two edits within the
+// same second would otherwise share an ETag). It becomes the ETag and Last-Modified of
+// every public response built from it. Responses are cached per URL
+// until a POST/PUT/PATCH/DELETE invalidates the collection; the blog also expires on its
+// own when the next scheduled post goes live. Admins and draft previews bypass it all.
+// Routes built from several collections (the homepage bootstrap) get a combined state
+// that lasts as long as all of its parts.
+
+const MAX_ENTRIES_PER_COLLECTION = 200;
+
+const collections = new Map();
+const combinedStates = new Map();
+// Collection -> write count. The boot id keeps ETags from an earlier run of the server
+// (whose counters started at zero too) from matching.
+const versions = new Map();
+const BOOT_ID = crypto.randomBytes(8).toString('hex');
+
+// updated_at is SQLite's "YYYY-MM-DD HH:MM:SS"; publish_at is ISO — compare them as dates
+function latest(...values) {
+    const dates = values.filter(Boolean).map(toDate);
+    return dates.length ? new Date(Math.max(...dates)) : null;
+}
+
+function loadState(collection, version, callback) {
+    const sql = collection === 'blog'
+        ? `SELECT COUNT(*) AS count, MAX(updated_at) AS updated,
+                  SUM(CASE WHEN ${BLOG_LIVE_SQL} THEN 1 ELSE 0 END) AS live,
+                  MAX(CASE WHEN ${BLOG_LIVE_SQL} THEN publish_at END) AS last_published,
+                  MIN(CASE WHEN published = 1 AND NOT (${BLOG_LIVE_SQL}) THEN publish_at END) AS next_published
+           FROM blog`
+        : `SELECT COUNT(*) AS count, MAX(updated_at) AS updated FROM ${collection}`;
+    db.get(sql, [], (err, row) => {
+        if (err) return callback(err);
+        const stamp = `${collection}:${row.count}:${row.updated || ''}:${row.live || 0}:${BOOT_ID}:${version}`;
+        const lastModified = latest(row.updated, row.last_published);
+        callback(null, {
+            etag: `"${crypto.createHash('sha1').update(stamp).digest('hex').slice(0, 20)}"`,
+            lastModified: lastModified ? lastModified.toUTCString() : null,
+            expiresAt: row.next_published ? toDate(row.next_published).getTime() : null,
+            entries: new Map()
+        });
+    });
+}
+
+// Current state of a collection, reloaded after an invalidation or scheduled expiry
+function getState(collection, callback) {
+    const state = collections.get(collection);
+    if (state && (!state.expiresAt || Date.now() < state.expiresAt)) return callback(null, state);
+    const version = versions.get(collection) || 0;
+    loadState(collection, version, (err, fresh) => {
+        if (err) return callback(err);
+        // A write may have landed while we were reading; keep whichever state is current
+        if (collections.get(collection) === state && (versions.get(collection) || 0) === version) {
+            collections.set(collection, fresh);
+        }
+        callback(null, fresh);
+    });
+}
+
+// States of several collections; the combined state is rebuilt whenever any part changes
+function getCombinedState(names, callback) {
+    const parts = [];
+    let pending = names.length;
+    let failed = false;
+    names.forEach((name, i) => getState(name, (err, state) => {
+        if (failed) return;
+        if (err) { failed = true; return callback(err); }
+        parts[i] = state;
+        if (--pending > 0) return;
+
+        if (parts.length === 1) return callback(null, parts[0]);
+        const key = names.join('+');
+        const current = combinedStates.get(key);
+        if (current && current.parts.every((part, j) => part === parts[j])) return callback(null, current);
+        const modified = parts.map(p => p.lastModified).filter(Boolean).map(d => new Date(d));
+        const combined = {
+            etag: `"${crypto.createHash('sha1').update(parts.map(p => p.etag).join(':')).digest('hex').slice(0, 20)}"`,
+            lastModified: modified.length ? new Date(Math.max(...modified)).toUTCString() : null,
+            entries: new Map(),
+            parts
+        };
+        combinedStates.set(key, combined);
+        callback(null, combined);
+    }));
+}
+
+function invalidate(...names) {
+    names.forEach(name => {
+        versions.set(name, (versions.get(name) || 0) + 1);
+        collections.delete(name);
+    });
+}
+
+/**
+ * Middleware for public GET routes built from the given collections: answers 304 when the
+ * client's copy is current, replays cached responses, and caches the handler's 200 JSON response.
+ */
+function cachedRead(...names) {
+    return (req, res, next) => {
+        if (req.session.isAdmin || req.query.preview) return next();
+        getCombinedState(names, (err, state) => {
+            if (err) {
+                console.error(`Error loading ${names.join(', ')} cache state:`, err);
+                return next();
+            }
+            res.set('ETag', state.etag);
+            if (state.lastModified) res.set('Last-Modified', state.lastModified);
+            res.set('Cache-Control', 'no-cache');
+            if (req.fresh) return res.status(304).end();
+
+            const hit = state.entries.get(req.originalUrl);
+            if (hit) {
+                res.set('X-Cache', 'HIT');
+                if (hit.totalCount !== undefined) res.set('X-Total-Count', hit.totalCount);
+                return res.type('json').send(hit.body);
+            }
+
+            res.set('X-Cache', 'MISS');
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode !== 200) {
+                    // Errors and 404s aren't versions of the collection
+                    res.removeHeader('ETag');
+                    res.removeHeader('Last-Modified');
+                    return json(body);
+                }
+                if (state.entries.size >= MAX_ENTRIES_PER_COLLECTION) {
+                    state.entries.delete(state.entries.keys().next().value);
+                }
+                state.entries.set(req.originalUrl, { body: JSON.stringify(body), totalCount: res.get('X-Total-Count') });
+                return json(body);
+            };
+            next();
+        });
+    };
+}
+
+/**
+ * Memoise `load(callback)` alongside the cached responses of the given collections, for
+ * data the server renders itself. Calls back with the (shared — don't mutate) value.
+ */
+function cachedValue(names, key, load, callback) {
+    getCombinedState(names, (err, state) => {
+        if (err) {
+            console.error(`Error loading ${names.join(', ')} cache state:`, err);
+            return load(callback);
+        }
+        const hit = state.entries.get(`value:${key}`);
+        if (hit) return callback(null, hit.value);
+        load((loadErr, value) => {
+            if (!loadErr) state.entries.set(`value:${key}`, { value });
+            callback(loadErr, value);
+        });
+    });
+}
+
+/**
+ * Router middleware that invalidates collections after a successful write.
+ * `namesFor(req)` returns the collections the request may have changed.
+ */
+function invalidateOnWrite(namesFor) {
+    return (req, res, next) => {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+        res.on('finish', () => {
+            if (res.statusCode < 400) invalidate(...namesFor(req));
+        });
+        next();
+    };
+}
+
+module.exports = { cachedRead, cachedValue, invalidate, invalidateOnWrite };
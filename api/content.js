@@ -1,21 +1,20 @@
 const express = require('express');
 const validator = require('validator');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
 const { db } = require('../database/db');
-const { encrypt } = require('./crypto-utils');
+const { encrypt, sign, verifySignature } = require('./crypto-utils');
+const { syncSearchIndex } = require('./search');
+const { SLUG_TABLES, slugify, nextFreeSlug } = require('./slug-utils');
+const { BLOG_LIVE_SQL, isPubliclyVisible, normalizePublishAt } = require('./visibility');
+const { TAGGABLE_TABLES, setItemTags, removeItemTags } = require('./tags');
+const { RENDER_VERSION, renderPost, postContent, readingStats } = require('./markdown');
+const { findRelatedPosts } = require('./related');
+const { REACTION_TABLES } = require('./reactions');
+const { cachedRead, cachedValue, invalidate, invalidateOnWrite } = require('./content-cache');
+const { attachImageSets } = require('./images');
+const { releaseUpload } = require('./media');
 const router = express.Router();
 
-// Delete a local upload file safely (only files inside /uploads/)
-function deleteUploadFile(fileUrl) {
-    if (!fileUrl || !fileUrl.startsWith('/uploads/')) return;
-    const filePath = path.join(__dirname, '..', fileUrl);
-    fs.unlink(filePath, (err) => {
-        if (err && err.code !== 'ENOENT') console.error('Failed to delete upload:', filePath, err.message);
-    });
-}
-
 // Input validation helper
 const validateInput = (data, fields) => {
     for (const [field, config] of Object.entries(fields)) {
@@ -54,15 +53,353 @@ const requireAuth = (req, res, next) => {
     next();
 };
 
+// Signed draft preview tokens: "<expiry unix seconds>.<hmac>", bound to one item
+const MAX_PREVIEW_HOURS = 24 * 30;
+
+function createPreviewToken(tableName, id, expiresAt) {
+    return `${expiresAt}.${sign(`preview:${tableName}:${id}:${expiresAt}`)}`;
+}
+
+function verifyPreviewToken(tableName, id, token) {
+    if (typeof token !== 'string') return false;
+    const [expiresAt, signature] = token.split('.');
+    if (!/^\d+$/.test(expiresAt) || Number(expiresAt) < Math.floor(Date.now() / 1000)) return false;
+    return verifySignature(`preview:${tableName}:${id}:${expiresAt}`, signature);
+}
+
+// Whether the requester may read a single item: admins and valid preview links see
+// everything, everyone else only visible (and, for blog, live) rows
+function canViewItem(req, tableName, row) {
+    if (req.session.isAdmin) return true;
+    if (verifyPreviewToken(tableName, row.id, req.query.preview)) return true;
+    return isPubliclyVisible(tableName, row);
+}
+
+// Work out the slug to store for a create/update and put it on `data.slug`.
+// The admin-supplied slug wins; an empty one is regenerated from the title. Updates that
+// don't send a slug keep the current one. Calls back with the item's previous slug (if any).
+function prepareSlug(tableName, id, data, callback) {
+    if (!SLUG_TABLES.includes(tableName)) return callback(null, null);
+    db.get(`SELECT slug, title FROM ${tableName} WHERE id = ?`, [id], (err, current) => {
+        if (err) return callback(err);
+        const previousSlug = current ? current.slug : null;
+        if (current && data.slug === undefined) return callback(null, previousSlug);
+
+        const base = slugify(data.slug) || slugify(data.title || (current && current.title)) || id.slice(0, 8);
+        db.all(
+            `SELECT slug FROM ${tableName} WHERE (slug = ? OR slug LIKE ?) AND id != ?`,
+            [base, `${base}-%`, id],
+            (takenErr, rows) => {
+                if (takenErr) return callback(takenErr);
+                data.slug = nextFreeSlug(base, rows.map(r => r.slug));
+                callback(null, previousSlug);
+            }
+        );
+    });
+}
+
+// After a save: remember the old slug so it keeps redirecting, and drop any
+// redirect the new slug now shadows
+function recordSlugChange(tableName, id, previousSlug, newSlug) {
+    if (!SLUG_TABLES.includes(tableName) || !newSlug) return;
+    db.run('DELETE FROM slug_redirects WHERE table_name = ? AND old_slug = ?', [tableName, newSlug], (err) => {
+        if (err) console.error('Error clearing slug redirect:', err);
+    });
+    if (previousSlug && previousSlug !== newSlug) {
+        db.run(
+            'INSERT OR REPLACE INTO slug_redirects (table_name, old_slug, item_id) VALUES (?, ?, ?)',
+            [tableName, previousSlug, id],
+            (err) => { if (err) console.error('Error recording slug redirect:', err); }
+        );
+    }
+}
+
+// Find an item by current slug, id or a previous slug, as seen by this request.
+// Calls back with { id, slug, canonical } — canonical is false when the caller should redirect.
+// Items the requester may not view (drafts, hidden) resolve to null.
+function resolveSlug(req, tableName, value, callback) {
+    if (!SLUG_TABLES.includes(tableName)) return callback(null, null);
+    const columns = tableName === 'blog' ? 'id, slug, hidden, published, publish_at' : 'id, slug, hidden';
+    const joinedColumns = columns.split(', ').map(c => `t.${c}`).join(', ');
+    db.get(
+        `SELECT ${columns}, 0 AS rank FROM ${tableName} WHERE slug = ? AND deleted_at IS NULL
+         UNION ALL SELECT ${columns}, 1 FROM ${tableName} WHERE id = ? AND deleted_at IS NULL
+         UNION ALL SELECT ${joinedColumns}, 2
+             FROM slug_redirects r JOIN ${tableName} t ON t.id = r.item_id
+             WHERE r.table_name = ? AND r.old_slug = ? AND t.deleted_at IS NULL
+         ORDER BY rank LIMIT 1`,
+        [value, value, tableName, value],
+        (err, row) => {
+            if (err || !row || !canViewItem(req, tableName, row)) return callback(err, null);
+            callback(null, { id: row.id, slug: row.slug, canonical: row.rank === 0 });
+        }
+    );
+}
+
+// Tables that keep a revision history of every update
+const REVISION_TABLES = ['blog', 'projects'];
+const MAX_REVISIONS_PER_ITEM = 50;
+
+// Columns computed on save — not edits in their own right, so they don't trigger a revision
+const GENERATED_COLUMNS = ['word_count', 'excerpt_auto', 'read_time_auto'];
+
+// Columns a restore writes back — visibility, ordering and the URL slug are left as they are
+const NON_RESTORABLE_COLUMNS = ['slug', 'hidden', 'order_num', 'featured', 'published', 'publish_at', ...GENERATED_COLUMNS];
+
+// Value as stored in the table (tags/skills arrays are kept as JSON strings)
+function toColumnValue(key, value) {
+    if ((key === 'tags' || key === 'skills') && Array.isArray(value)) return JSON.stringify(value);
+    return value;
+}
+
+// Snapshot the current row into `revisions` before an update overwrites it.
+// Only writes a revision when at least one whitelisted column actually changes;
+// calls back with the list of changed fields.
+function saveRevision(tableName, id, data, columns, editor, callback) {
+    if (!REVISION_TABLES.includes(tableName)) return callback(null, []);
+    db.get(`SELECT * FROM ${tableName} WHERE id = ?`, [id], (err, row) => {
+        if (err || !row) return callback(err, []);
+        const changedFields = Object.keys(data).filter(key =>
+            columns.includes(key) && String(toColumnValue(key, data[key]) ?? '') !== String(row[key] ?? '')
+        );
+        if (changedFields.length === 0) return callback(null, []);
+        db.run(
+            'INSERT INTO revisions (id, table_name, item_id, snapshot, changed_fields, editor) VALUES (?, ?, ?, ?, ?, ?)',
+            [uuidv4(), tableName, id, JSON.stringify(row), JSON.stringify(changedFields), editor],
+            (insErr) => {
+                if (insErr) return callback(insErr);
+                // Keep only the newest revisions per item
+                db.run(
+                    `DELETE FROM revisions WHERE table_name = ? AND item_id = ? AND id NOT IN (
+                        SELECT id FROM revisions WHERE table_name = ? AND item_id = ?
+                        ORDER BY created_at DESC, rowid DESC LIMIT ?)`,
+                    [tableName, id, tableName, id, MAX_REVISIONS_PER_ITEM],
+                    (pruneErr) => { if (pruneErr) console.error('Error pruning revisions:', pruneErr); }
+                );
+                callback(null, changedFields);
+            }
+        );
+    });
+}
+
+// EXISTS subquery matching rows tagged with a tag given by slug or name (bind the value twice)
+const TAGGED_ITEM_SQL = (tableName) => `SELECT 1 FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+    WHERE ct.table_name = '${tableName}' AND ct.item_id = ${tableName}.id AND (t.slug = ? OR t.name = ?)`;
+
+// Mirror a saved tags value (array or JSON string) into the tags tables; no-op when tags weren't sent
+function syncTags(tableName, id, tags, callback) {
+    if (!TAGGABLE_TABLES.includes(tableName) || tags === undefined) return callback(null);
+    let names = tags;
+    if (typeof names === 'string') {
+        try { names = JSON.parse(names); } catch (e) { names = []; }
+    }
+    setItemTags(tableName, id, names, callback);
+}
+
+// Blog posts cache their rendered Markdown and table of contents (see api/markdown.js).
+// Only single-item reads send them; lists drop them to stay small.
+const RENDER_CACHE_COLUMNS = ['content_html', 'toc', 'render_version'];
+
+function cacheRenderedContent(tableName, id, content, callback) {
+    if (tableName !== 'blog' || content === undefined) return callback(null);
+    const { html, toc } = renderPost(content);
+    db.run(
+        'UPDATE blog SET content_html = ?, toc = ?, render_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [html, JSON.stringify(toc), RENDER_VERSION, id],
+        callback
+    );
+}
+
+// Re-render posts cached by an older pipeline (or never rendered) and fill in missing
+// reading stats — run at startup
+function refreshRenderedContent() {
+    db.all('SELECT id, content FROM blog WHERE render_version IS NULL OR render_version != ? OR word_count IS NULL', [RENDER_VERSION], (err, rows) => {
+        if (err) return console.error('Error loading posts to render:', err);
+        const next = (i) => {
+            if (i >= rows.length) {
+                if (rows.length) {
+                    invalidate('blog');
+                    console.log(`Rendered Markdown for ${rows.length} blog post(s)`);
+                }
+                return;
+            }
+            cacheRenderedContent('blog', rows[i].id, rows[i].content || '', (renderErr) => {
+                if (renderErr) console.error('Error rendering blog post:', renderErr);
+                refreshReadingStats(rows[i].id, (statsErr) => {
+                    if (statsErr) console.error('Error computing reading stats:', statsErr);
+                    next(i + 1);
+                });
+            });
+        };
+        next(0);
+    });
+}
+
+// Word count, read time and excerpt come from the rendered text of a post. read_time and
+// excerpt can be typed by hand; excerpt_auto / read_time_auto record which values were
+// generated so they keep following the content. A blank value, or one sent back unchanged
+// from what was generated, stays automatic.
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Fill in the reading stats of a blog create/update in `data`
+function applyReadingStats(tableName, id, data, callback) {
+    if (tableName !== 'blog') return callback(null);
+    db.get('SELECT content, excerpt, read_time, excerpt_auto, read_time_auto FROM blog WHERE id = ?', [id], (err, existing) => {
+        if (err) return callback(err);
+        const current = existing || { excerpt_auto: 1, read_time_auto: 1 };
+        const content = data.content !== undefined ? data.content : current.content;
+        const stats = readingStats(content);
+        data.word_count = stats.wordCount;
+
+        const keepAuto = (field, flag) => data[field] === undefined
+            ? current[flag] === 1
+            : isBlank(data[field]) || (current[flag] === 1 && String(data[field]) === String(current[field]));
+        if (keepAuto('excerpt', 'excerpt_auto')) {
+            data.excerpt = stats.excerpt;
+            data.excerpt_auto = 1;
+        } else {
+            data.excerpt_auto = 0;
+        }
+        if (keepAuto('read_time', 'read_time_auto')) {
+            data.read_time = stats.readTime;
+            data.read_time_auto = 1;
+        } else {
+            data.read_time_auto = 0;
+        }
+        callback(null);
+    });
+}
+
+// Recompute the stats of a stored post from its content, keeping its manual overrides
+function refreshReadingStats(id, callback) {
+    db.get('SELECT content, excerpt_auto, read_time_auto FROM blog WHERE id = ?', [id], (err, row) => {
+        if (err || !row) return callback(err);
+        const stats = readingStats(row.content);
+        db.run(
+            `UPDATE blog SET word_count = ?,
+                excerpt = CASE WHEN excerpt_auto = 1 THEN ? ELSE excerpt END,
+                read_time = CASE WHEN read_time_auto = 1 THEN ? ELSE read_time END,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [stats.wordCount, stats.excerpt, stats.readTime, id],
+            callback
+        );
+    });
+}
+
+// Fill in the generated fields of a create/update before it's written: slug and reading stats.
+// Calls back with the item's previous slug like prepareSlug.
+function prepareItem(tableName, id, data, callback) {
+    prepareSlug(tableName, id, data, (slugErr, previousSlug) => {
+        if (slugErr) return callback(slugErr);
+        applyReadingStats(tableName, id, data, (statsErr) => callback(statsErr, previousSlug));
+    });
+}
+
+// Keep data derived from a saved row in step: tag links and the rendered Markdown cache
+function syncDerived(tableName, id, data, callback) {
+    syncTags(tableName, id, data.tags, (tagErr) => {
+        if (tagErr) console.error(`Error saving ${tableName} tags:`, tagErr);
+        cacheRenderedContent(tableName, id, data.content, (renderErr) => {
+            if (renderErr) console.error(`Error rendering ${tableName} content:`, renderErr);
+            callback();
+        });
+    });
+}
+
+const CONTENT_TABLES = ['experience', 'education', 'projects', 'blog', 'skills'];
+
+// Writes drop the cached public responses of what they touched: /<table>/..., /trash/<table>/...
+// (emptying the trash touches every table) and /settings/...
+router.use(invalidateOnWrite(req => {
+    const [first, second] = req.path.split('/').filter(Boolean);
+    if (first === 'trash') return second ? [second] : CONTENT_TABLES;
+    return [first];
+}));
+// Trash: deleted rows keep a deleted_at timestamp and are purged for good after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Permanently remove a trashed row along with its upload, slug redirects, revisions, tag links and comments
+function purgeItem(tableName, id, callback) {
+    db.get(`SELECT * FROM ${tableName} WHERE id = ? AND deleted_at IS NOT NULL`, [id], (fetchErr, row) => {
+        if (fetchErr || !row) return callback(fetchErr, 0);
+        db.run(`DELETE FROM ${tableName} WHERE id = ?`, [id], function(err) {
+            if (err) return callback(err);
+            // The upload goes too, unless another row, a setting or a revision still uses it —
+            // checked once this item's own revisions are gone
+            const release = () => {
+                if (row.image_url) releaseUpload(row.image_url);
+            };
+            if (SLUG_TABLES.includes(tableName)) {
+                db.run('DELETE FROM slug_redirects WHERE table_name = ? AND item_id = ?', [tableName, id], (redirectErr) => {
+                    if (redirectErr) console.error('Error deleting slug redirects:', redirectErr);
+                });
+            }
+            if (REVISION_TABLES.includes(tableName)) {
+                db.run('DELETE FROM revisions WHERE table_name = ? AND item_id = ?', [tableName, id], (revErr) => {
+                    if (revErr) console.error('Error deleting revisions:', revErr);
+                    release();
+                });
+            } else {
+                release();
+            }
+            removeItemTags(tableName, id);
+            if (tableName === 'blog') {
+                db.run('DELETE FROM comments WHERE post_id = ?', [id], (commentErr) => {
+                    if (commentErr) console.error('Error deleting comments:', commentErr);
+                });
+            }
+            if (REACTION_TABLES.includes(tableName)) {
+                db.run('DELETE FROM reactions WHERE table_name = ? AND item_id = ?', [tableName, id], (reactionErr) => {
+                    if (reactionErr) console.error('Error deleting reactions:', reactionErr);
+                });
+            }
+            callback(null, this.changes);
+        });
+    });
+}
+
+// Purge every trashed row matching `condition` (SQL on deleted_at); resolves with the number removed
+function purgeTrash(condition = '1 = 1') {
+    const purgeTable = (tableName) => new Promise((resolve, reject) => {
+        db.all(`SELECT id FROM ${tableName} WHERE deleted_at IS NOT NULL AND ${condition}`, [], (err, rows) => {
+            if (err) return reject(err);
+            let removed = 0;
+            const next = (i) => {
+                if (i >= rows.length) return resolve(removed);
+                purgeItem(tableName, rows[i].id, (purgeErr, changes) => {
+                    if (purgeErr) return reject(purgeErr);
+                    removed += changes;
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    });
+    return CONTENT_TABLES.reduce(
+        (chain, tableName) => chain.then(total => purgeTable(tableName).then(n => total + n)),
+        Promise.resolve(0)
+    );
+}
+
+// Scheduled cleanup — run at startup and daily from server.js
+function purgeExpiredTrash() {
+    return purgeTrash(`deleted_at <= datetime('now', '-${TRASH_RETENTION_DAYS} days')`)
+        .then(count => { if (count > 0) console.log(`Purged ${count} expired trash item(s)`); })
+        .catch(err => console.error('Trash purge failed:', err));
+}
+
 // Generic CRUD operations
 const createCRUDRoutes = (tableName) => {
     // Allowed columns per table (whitelist to prevent SQL injection via column names)
     const allowedColumns = {
         experience: ['company', 'role', 'period', 'location', 'description', 'badge', 'order_num', 'hidden'],
         education: ['institution', 'degree', 'period', 'location', 'description', 'badge', 'order_num', 'hidden'],
-        projects: ['title', 'description', 'tags', 'image_url', 'project_url', 'github_url', 'featured', 'order_num', 'hidden'],
-        blog: ['title', 'content', 'excerpt', 'tags', 'image_url', 'read_time', 'featured', 'published', 'order_num', 'hidden', 'author'],
-        skills: ['category', 'skills', 'hidden']
+        projects: ['title', 'slug', 'description', 'tags', 'image_url', 'project_url', 'github_url', 'featured', 'order_num', 'hidden'],
+        blog: ['title', 'slug', 'content', 'excerpt', 'tags', 'image_url', 'read_time', 'featured', 'published', 'publish_at', 'order_num', 'hidden', 'author', 'word_count', 'excerpt_auto', 'read_time_auto'],
+        skills: ['category', 'skills', 'order_num', 'hidden']
     };
 
     // Validation rules for each table
@@ -85,6 +422,7 @@ const createCRUDRoutes = (tableName) => {
         },
         projects: {
             title: { type: 'string', required: true, maxLength: 200 },
+            slug: { type: 'string', maxLength: 200 },
             description: { type: 'string', maxLength: 2000 },
             tags: { type: 'array' },
             image_url: { type: 'string', maxLength: 500 },
@@ -94,6 +432,7 @@ const createCRUDRoutes = (tableName) => {
         },
         blog: {
             title: { type: 'string', required: true, maxLength: 200 },
+            slug: { type: 'string', maxLength: 200 },
             content: { type: 'string', required: true, maxLength: 50000 },
             excerpt: { type: 'string', maxLength: 500 },
             tags: { type: 'array' },
@@ -101,49 +440,125 @@ const createCRUDRoutes = (tableName) => {
             author: { type: 'string', maxLength: 100 },
             read_time: { type: 'number' },
             featured: { type: 'number' },
-            published: { type: 'number' }
+            published: { type: 'number' },
+            publish_at: { type: 'string', maxLength: 40 }
         },
         skills: {
             category: { type: 'string', required: true, maxLength: 100 }
         }
     };
     
+    // Columns that list queries may sort by (whitelist — values are interpolated into ORDER BY)
+    const sortableColumns = {
+        experience: ['order_num', 'created_at', 'company', 'period'],
+        education: ['order_num', 'created_at', 'institution', 'period'],
+        projects: ['order_num', 'created_at', 'title', 'featured'],
+        blog: ['order_num', 'created_at', 'title', 'featured', 'read_time'],
+        skills: ['order_num', 'created_at', 'category']
+    };
+
+    // Columns matched by the ?q= text filter on list queries
+    const searchableColumns = {
+        experience: ['company', 'role', 'location', 'description'],
+        education: ['institution', 'degree', 'location', 'description'],
+        projects: ['title', 'description', 'tags'],
+        blog: ['title', 'excerpt', 'content', 'tags'],
+        skills: ['category', 'skills']
+    };
+
     // Get all items (public - respects hidden)
-    router.get(`/${tableName}`, (req, res) => {
+    // Optional query params: page, limit, tag, q, sort, order.
+    // Without page/limit the full list is returned as a plain array (homepage + dashboard rely on this);
+    // with them the response is { items, total, page, limit, totalPages }.
+    router.get(`/${tableName}`, cachedRead(tableName), (req, res) => {
         const showHidden = req.session.isAdmin;
-        // Some tables have order_num, others don't
-        const hasOrderNum = ['experience', 'education', 'projects', 'blog'].includes(tableName);
-        const orderBy = hasOrderNum ? 'ORDER BY order_num, created_at' : 'ORDER BY created_at';
-        const query = showHidden 
-            ? `SELECT * FROM ${tableName} ${orderBy}`
-            : `SELECT * FROM ${tableName} WHERE hidden = 0 ${orderBy}`;
-        
-        db.all(query, [], (err, rows) => {
-            if (err) {
-                console.error(`Error fetching ${tableName}:`, err);
+        const { tag, q, sort, order } = req.query;
+
+        // Trashed rows only show up in the trash endpoints
+        const conditions = ['deleted_at IS NULL'];
+        const params = [];
+        if (!showHidden) {
+            conditions.push('hidden = 0');
+            // Drafts and scheduled posts never reach public listings
+            if (tableName === 'blog') conditions.push(BLOG_LIVE_SQL);
+        }
+        // Exact tag match by slug or name via the tags tables (LIKE would match "AI" inside "Email")
+        if (tag && TAGGABLE_TABLES.includes(tableName)) {
+            conditions.push(`EXISTS (${TAGGED_ITEM_SQL(tableName)})`);
+            params.push(String(tag), String(tag));
+        }
+        if (q && String(q).trim()) {
+            const pattern = `%${String(q).trim().replace(/[\\%_]/g, '\\$&')}%`;
+            const columns = searchableColumns[tableName] || [];
+            conditions.push(`(${columns.map(col => `${col} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+            columns.forEach(() => params.push(pattern));
+        }
+        const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        let orderBy = 'ORDER BY order_num, created_at';
+        if (sort) {
+            if (!(sortableColumns[tableName] || []).includes(sort)) {
+                return res.status(400).json({ error: `Cannot sort ${tableName} by ${sort}` });
+            }
+            const direction = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+            orderBy = `ORDER BY ${sort} ${direction}, created_at DESC, id`;
+        }
+
+        const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        // Paged blog lists are for cards — skip the full post body and send a short preview instead
+        const selectColumns = paginate && tableName === 'blog'
+            ? `id, title, slug, excerpt, substr(content, 1, 200) AS preview, tags, image_url, read_time, featured, published, publish_at, order_num, hidden, author, created_at`
+            : '*';
+        const query = paginate
+            ? `SELECT ${selectColumns} FROM ${tableName} ${whereClause} ${orderBy} LIMIT ? OFFSET ?`
+            : `SELECT * FROM ${tableName} ${whereClause} ${orderBy}`;
+        const queryParams = paginate ? [...params, limit, (page - 1) * limit] : params;
+
+        db.get(`SELECT COUNT(*) AS total FROM ${tableName} ${whereClause}`, params, (countErr, countRow) => {
+            if (countErr) {
+                console.error(`Error counting ${tableName}:`, countErr);
                 return res.status(500).json({ error: 'Internal server error' });
             }
-            // Parse JSON fields based on table
-            try {
-                rows.forEach(row => {
-                    if (row.tags && typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
-                    if (row.skills && typeof row.skills === 'string') row.skills = JSON.parse(row.skills);
+            db.all(query, queryParams, (err, rows) => {
+                if (err) {
+                    console.error(`Error fetching ${tableName}:`, err);
+                    return res.status(500).json({ error: 'Internal server error' });
+                }
+                // Parse JSON fields based on table
+                try {
+                    rows.forEach(row => {
+                        if (row.tags && typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
+                        if (row.skills && typeof row.skills === 'string') row.skills = JSON.parse(row.skills);
+                        RENDER_CACHE_COLUMNS.forEach(col => delete row[col]);
+                    });
+                } catch (parseErr) {
+                    console.error('JSON parse error:', parseErr);
+                    // Continue anyway
+                }
+                const total = countRow.total;
+                res.set('X-Total-Count', String(total));
+                if (!paginate) return res.json(rows);
+                res.json({
+                    items: rows,
+                    total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(total / limit)
                 });
-            } catch (parseErr) {
-                console.error('JSON parse error:', parseErr);
-                // Continue anyway
-            }
-            res.json(rows);
+            });
         });
     });
 
     // Get featured/recent items for specific tables
     if (tableName === 'projects') {
-        router.get(`/${tableName}/featured`, (req, res) => {
+        router.get(`/${tableName}/featured`, cachedRead(tableName), (req, res) => {
             const showHidden = req.session.isAdmin;
             const query = showHidden 
-                ? `SELECT * FROM ${tableName} WHERE featured = 1 OR hidden = 0 ORDER BY featured DESC, created_at DESC`
-                : `SELECT * FROM ${tableName} WHERE (featured = 1 OR hidden = 0) AND hidden = 0 ORDER BY featured DESC, created_at DESC`;
+                ? `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND (featured = 1 OR hidden = 0) ORDER BY featured DESC, created_at DESC`
+                : `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND (featured = 1 OR hidden = 0) AND hidden = 0 ORDER BY featured DESC, created_at DESC`;
             
             db.all(query, [], (err, rows) => {
                 if (err) {
@@ -174,21 +589,21 @@ const createCRUDRoutes = (tableName) => {
         });
 
         // Get projects by category
-        router.get(`/${tableName}/category/:category`, (req, res) => {
+        router.get(`/${tableName}/category/:category`, cachedRead(tableName), (req, res) => {
             const category = req.params.category;
             const showHidden = req.session.isAdmin;
             
             const query = showHidden 
-                ? `SELECT * FROM ${tableName} WHERE tags LIKE ? ORDER BY created_at DESC`
-                : `SELECT * FROM ${tableName} WHERE tags LIKE ? AND hidden = 0 ORDER BY created_at DESC`;
+                ? `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND EXISTS (${TAGGED_ITEM_SQL(tableName)}) ORDER BY created_at DESC`
+                : `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND EXISTS (${TAGGED_ITEM_SQL(tableName)}) AND hidden = 0 ORDER BY created_at DESC`;
             
-            db.all(query, [`%${category}%`], (err, rows) => {
+            db.all(query, [category, category], (err, rows) => {
                 if (err) {
                     console.error(`Error fetching ${tableName} by category:`, err);
                     return res.status(500).json({ error: 'Internal server error' });
                 }
                 
-                // Parse JSON fields and filter by exact category match
+                // Parse JSON fields
                 try {
                     rows.forEach(row => {
                         if (row.tags && typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
@@ -198,49 +613,25 @@ const createCRUDRoutes = (tableName) => {
                     console.error('JSON parse error:', parseErr);
                 }
                 
-                // Filter for exact category match
-                const filtered = rows.filter(row => 
-                    row.tags && Array.isArray(row.tags) && row.tags.includes(category)
-                );
-                
-                res.json(filtered);
+                res.json(rows);
             });
         });
 
         // Get all categories for projects
-        router.get(`/${tableName}/categories`, (req, res) => {
-            const query = `SELECT tags FROM ${tableName} WHERE hidden = 0 AND tags IS NOT NULL AND tags != '[]'`;
+        router.get(`/${tableName}/categories`, cachedRead(tableName), (req, res) => {
+            const query = `SELECT t.name, t.slug, COUNT(*) AS count
+                FROM content_tags ct
+                JOIN tags t ON t.id = ct.tag_id
+                JOIN ${tableName} i ON i.id = ct.item_id
+                WHERE ct.table_name = '${tableName}' AND i.deleted_at IS NULL AND i.hidden = 0
+                GROUP BY t.id
+                ORDER BY count DESC, t.name COLLATE NOCASE`;
             
-            db.all(query, [], (err, rows) => {
+            db.all(query, [], (err, categories) => {
                 if (err) {
                     console.error(`Error fetching ${tableName} categories:`, err);
                     return res.status(500).json({ error: 'Internal server error' });
                 }
-                
-                const allTags = [];
-                rows.forEach(row => {
-                    try {
-                        if (row.tags && typeof row.tags === 'string') {
-                            const tags = JSON.parse(row.tags);
-                            if (Array.isArray(tags)) {
-                                allTags.push(...tags);
-                            }
-                        }
-                    } catch (parseErr) {
-                        console.error('JSON parse error:', parseErr);
-                    }
-                });
-                
-                // Get unique categories and count
-                const categoryCounts = {};
-                allTags.forEach(tag => {
-                    categoryCounts[tag] = (categoryCounts[tag] || 0) + 1;
-                });
-                
-                const categories = Object.entries(categoryCounts)
-                    .map(([name, count]) => ({ name, count }))
-                    .sort((a, b) => b.count - a.count);
-                
                 res.json(categories);
             });
         });
@@ -249,15 +640,15 @@ const createCRUDRoutes = (tableName) => {
     // Blog-specific endpoints (mirroring projects pattern)
     if (tableName === 'blog') {
         // Get blog posts by category/tag
-        router.get(`/${tableName}/category/:category`, (req, res) => {
+        router.get(`/${tableName}/category/:category`, cachedRead(tableName), (req, res) => {
             const category = req.params.category;
             const showHidden = req.session.isAdmin;
             
             const query = showHidden 
-                ? `SELECT * FROM ${tableName} WHERE tags LIKE ? ORDER BY created_at DESC`
-                : `SELECT * FROM ${tableName} WHERE tags LIKE ? AND hidden = 0 AND published = 1 ORDER BY created_at DESC`;
+                ? `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND EXISTS (${TAGGED_ITEM_SQL(tableName)}) ORDER BY created_at DESC`
+                : `SELECT * FROM ${tableName} WHERE deleted_at IS NULL AND EXISTS (${TAGGED_ITEM_SQL(tableName)}) AND hidden = 0 AND ${BLOG_LIVE_SQL} ORDER BY created_at DESC`;
             
-            db.all(query, [`%${category}%`], (err, rows) => {
+            db.all(query, [category, category], (err, rows) => {
                 if (err) {
                     console.error(`Error fetching ${tableName} by category:`, err);
                     return res.status(500).json({ error: 'Internal server error' });
@@ -266,62 +657,70 @@ const createCRUDRoutes = (tableName) => {
                 try {
                     rows.forEach(row => {
                         if (row.tags && typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
+                        RENDER_CACHE_COLUMNS.forEach(col => delete row[col]);
                     });
                 } catch (parseErr) {
                     console.error('JSON parse error:', parseErr);
                 }
                 
-                const filtered = rows.filter(row => 
-                    row.tags && Array.isArray(row.tags) && row.tags.includes(category)
-                );
-                
-                res.json(filtered);
+                res.json(rows);
             });
         });
 
         // Get all categories/tags for blog posts
-        router.get(`/${tableName}/categories`, (req, res) => {
-            const query = `SELECT tags FROM ${tableName} WHERE hidden = 0 AND published = 1 AND tags IS NOT NULL AND tags != '[]'`;
+        router.get(`/${tableName}/categories`, cachedRead(tableName), (req, res) => {
+            const query = `SELECT t.name, t.slug, COUNT(*) AS count
+                FROM content_tags ct
+                JOIN tags t ON t.id = ct.tag_id
+                JOIN ${tableName} i ON i.id = ct.item_id
+                WHERE ct.table_name = '${tableName}' AND i.deleted_at IS NULL AND i.hidden = 0 AND ${BLOG_LIVE_SQL}
+                GROUP BY t.id
+                ORDER BY count DESC, t.name COLLATE NOCASE`;
             
-            db.all(query, [], (err, rows) => {
+            db.all(query, [], (err, categories) => {
                 if (err) {
                     console.error(`Error fetching ${tableName} categories:`, err);
                     return res.status(500).json({ error: 'Internal server error' });
                 }
-                
-                const allTags = [];
-                rows.forEach(row => {
-                    try {
-                        if (row.tags && typeof row.tags === 'string') {
-                            const tags = JSON.parse(row.tags);
-                            if (Array.isArray(tags)) {
-                                allTags.push(...tags);
-                            }
-                        }
-                    } catch (parseErr) {
-                        console.error('JSON parse error:', parseErr);
-                    }
-                });
-                
-                const categoryCounts = {};
-                allTags.forEach(tag => {
-                    categoryCounts[tag] = (categoryCounts[tag] || 0) + 1;
-                });
-                
-                const categories = Object.entries(categoryCounts)
-                    .map(([name, count]) => ({ name, count }))
-                    .sort((a, b) => b.count - a.count);
-                
                 res.json(categories);
             });
         });
     }
 
-    // Get single item
-    router.get(`/${tableName}/:id`, (req, res) => {
-        db.get(`SELECT * FROM ${tableName} WHERE id = ?`, [req.params.id], (err, row) => {
+    // Related posts and previous/next links for a post (by id or slug)
+    if (tableName === 'blog') {
+        router.get(`/${tableName}/:id/related`, cachedRead(tableName), (req, res) => {
+            db.get(
+                `SELECT * FROM ${tableName} WHERE (id = ? OR slug = ?) AND deleted_at IS NULL`,
+                [req.params.id, req.params.id],
+                (err, row) => {
+                    if (err) { console.error('Error fetching blog post:', err); return res.status(500).json({ error: 'Internal server error' }); }
+                    if (!row || !canViewItem(req, tableName, row)) return res.status(404).json({ error: 'Not found' });
+                    findRelatedPosts(row, (relErr, result) => {
+                        if (relErr) { console.error('Error fetching related posts:', relErr); return res.status(500).json({ error: 'Internal server error' }); }
+                        res.json(result);
+                    });
+                }
+            );
+        });
+    }
+
+    // Get single item (blog and projects can also be fetched by slug).
+    // Non-admins only get visible/published rows unless ?preview= carries a valid signed token.
+    router.get(`/${tableName}/:id`, cachedRead(tableName), (req, res) => {
+        const bySlug = SLUG_TABLES.includes(tableName);
+        const query = bySlug
+            ? `SELECT * FROM ${tableName} WHERE (id = ? OR slug = ?) AND deleted_at IS NULL`
+            : `SELECT * FROM ${tableName} WHERE id = ? AND deleted_at IS NULL`;
+        const params = bySlug ? [req.params.id, req.params.id] : [req.params.id];
+        db.get(query, params, (err, row) => {
             if (err) { console.error(`Error fetching ${tableName} by id:`, err); return res.status(500).json({ error: 'Internal server error' }); }
-            if (!row) return res.status(404).json({ error: 'Not found' });
+            if (!row || !canViewItem(req, tableName, row)) return res.status(404).json({ error: 'Not found' });
+            // Draft previews must not be cached or indexed
+            if (req.query.preview) {
+                res.set('Cache-Control', 'no-store');
+                res.set('X-Robots-Tag', 'noindex');
+            }
             try {
                 if (row.tags && typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
                 if (row.skills && typeof row.skills === 'string') row.skills = JSON.parse(row.skills);
@@ -329,10 +728,37 @@ const createCRUDRoutes = (tableName) => {
                 console.error('JSON parse error:', parseErr);
                 // Continue anyway - just leave as string if parse fails
             }
+            // Cached HTML + TOC; posts the startup refresh hasn't reached yet are rendered on the fly
+            if (tableName === 'blog') {
+                const { html, toc } = postContent(row);
+                row.content_html = html;
+                row.toc = toc;
+                delete row.render_version;
+            }
             res.json(row);
         });
     });
 
+    // Create an expiring signed preview link for a draft post (admin only)
+    if (tableName === 'blog') {
+        router.post(`/${tableName}/:id/preview-link`, requireAuth, (req, res) => {
+            const hours = req.body.hours === undefined ? 24 : Number(req.body.hours);
+            if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_PREVIEW_HOURS) {
+                return res.status(400).json({ error: `hours must be a positive number up to ${MAX_PREVIEW_HOURS}` });
+            }
+            db.get(`SELECT id, slug FROM ${tableName} WHERE id = ? AND deleted_at IS NULL`, [req.params.id], (err, row) => {
+                if (err) { console.error('Error creating preview link:', err); return res.status(500).json({ error: 'Internal server error' }); }
+                if (!row) return res.status(404).json({ error: 'Not found' });
+                const expiresAt = Math.floor(Date.now() / 1000 + hours * 3600);
+                const token = createPreviewToken(tableName, row.id, expiresAt);
+                res.json({
+                    url: `/blog/${encodeURIComponent(row.slug)}?preview=${token}`,
+                    expiresAt: new Date(expiresAt * 1000).toISOString()
+                });
+            });
+        });
+    }
+
     // Create item (admin only)
     router.post(`/${tableName}`, requireAuth, (req, res) => {
         const rules = validationRules[tableName];
@@ -343,44 +769,62 @@ const createCRUDRoutes = (tableName) => {
             }
         }
         
+        // Scheduled publishing: store publish_at as ISO UTC, '' clears it
+        if (req.body.publish_at !== undefined && tableName === 'blog') {
+            const publishAt = normalizePublishAt(req.body.publish_at);
+            if (publishAt === undefined) return res.status(400).json({ error: 'publish_at must be a valid date' });
+            req.body.publish_at = publishAt;
+        }
+
         const id = uuidv4();
         const data = req.body;
-        
-        // Auto-remove featured from others if this item is being featured
-        const hasFeatured = (tableName === 'projects' || tableName === 'blog') && data.featured === 1;
-        if (hasFeatured) {
-            db.run(`UPDATE ${tableName} SET featured = 0 WHERE featured = 1`, [], (err) => {
-                if (err) console.error('Error unfeaturing old items:', err);
-            });
-        }
-        
-        // Build dynamic query based on provided fields
-        const fields = ['id'];
-        const values = [id];
-        const placeholders = ['?'];
-        
-        const whitelist = allowedColumns[tableName] || [];
-        Object.keys(data).forEach(key => {
-            if (key === 'id' || !whitelist.includes(key)) return;
-            if ((key === 'tags' || key === 'skills') && Array.isArray(data[key])) {
-                fields.push(key);
-                values.push(JSON.stringify(data[key]));
-                placeholders.push('?');
-            } else {
-                fields.push(key);
-                values.push(data[key]);
-                placeholders.push('?');
-            }
-        });
-        
-        const query = `INSERT INTO ${tableName} (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
-        
-        db.run(query, values, function(err) {
-            if (err) {
-                console.error(`Error creating ${tableName}:`, err);
+
+        prepareItem(tableName, id, data, (prepErr) => {
+            if (prepErr) {
+                console.error(`Error preparing ${tableName}:`, prepErr);
                 return res.status(500).json({ error: 'Internal server error' });
             }
-            res.json({ id, success: true });
+
+            // Auto-remove featured from others if this item is being featured
+            const hasFeatured = (tableName === 'projects' || tableName === 'blog') && data.featured === 1;
+            if (hasFeatured) {
+                db.run(`UPDATE ${tableName} SET featured = 0, updated_at = CURRENT_TIMESTAMP WHERE featured = 1`, [], (err) => {
+                    if (err) console.error('Error unfeaturing old items:', err);
+                });
+            }
+            
+            // Build dynamic query based on provided fields
+            const fields = ['id', 'updated_at'];
+            const values = [id];
+            const placeholders = ['?', 'CURRENT_TIMESTAMP'];
+            
+            const whitelist = allowedColumns[tableName] || [];
+            Object.keys(data).forEach(key => {
+                if (key === 'id' || !whitelist.includes(key)) return;
+                if ((key === 'tags' || key === 'skills') && Array.isArray(data[key])) {
+                    fields.push(key);
+                    values.push(JSON.stringify(data[key]));
+                    placeholders.push('?');
+                } else {
+                    fields.push(key);
+                    values.push(data[key]);
+                    placeholders.push('?');
+                }
+            });
+            
+            const query = `INSERT INTO ${tableName} (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
+            
+            db.run(query, values, function(err) {
+                if (err) {
+                    console.error(`Error creating ${tableName}:`, err);
+                    return res.status(500).json({ error: 'Internal server error' });
+                }
+                recordSlugChange(tableName, id, null, data.slug);
+                syncDerived(tableName, id, data, () => {
+                    syncSearchIndex(tableName, id);
+                    res.json({ id, success: true });
+                });
+            });
         });
     });
 
@@ -394,68 +838,218 @@ const createCRUDRoutes = (tableName) => {
             }
         }
         
+        // Scheduled publishing: store publish_at as ISO UTC, '' clears it
+        if (req.body.publish_at !== undefined && tableName === 'blog') {
+            const publishAt = normalizePublishAt(req.body.publish_at);
+            if (publishAt === undefined) return res.status(400).json({ error: 'publish_at must be a valid date' });
+            req.body.publish_at = publishAt;
+        }
+
         const data = req.body;
 
-        // If image_url is changing, delete the old file from disk
-        if (data.image_url !== undefined) {
-            db.get(`SELECT image_url FROM ${tableName} WHERE id = ?`, [req.params.id], (fetchErr, oldRow) => {
-                if (!fetchErr && oldRow && oldRow.image_url && oldRow.image_url !== data.image_url) {
-                    deleteUploadFile(oldRow.image_url);
+        prepareItem(tableName, req.params.id, data, (prepErr, previousSlug) => {
+            if (prepErr) {
+                console.error(`Error preparing ${tableName}:`, prepErr);
+                return res.status(500).json({ error: 'Internal server error' });
+            }
+
+            // A replaced image_url keeps its old file: only blog and projects have images, and
+            // their revisions may still point at it. The orphaned-upload collector (api/media.js)
+            // reclaims the file once no revision refers to it either.
+            
+            // Auto-remove featured from others if this item is being featured
+            const hasFeatured = (tableName === 'projects' || tableName === 'blog') && data.featured === 1;
+            if (hasFeatured) {
+                db.run(`UPDATE ${tableName} SET featured = 0, updated_at = CURRENT_TIMESTAMP WHERE featured = 1 AND id != ?`, [req.params.id], (err) => {
+                    if (err) console.error('Error unfeaturing old items:', err);
+                });
+            }
+            
+            const updates = [];
+            const values = [];
+            const whitelist = allowedColumns[tableName] || [];
+            
+            Object.keys(data).forEach(key => {
+                if (key === 'id' || !whitelist.includes(key)) return;
+                if ((key === 'tags' || key === 'skills') && Array.isArray(data[key])) {
+                    updates.push(`${key} = ?`);
+                    values.push(JSON.stringify(data[key]));
+                } else {
+                    updates.push(`${key} = ?`);
+                    values.push(data[key]);
                 }
             });
-        }
-        
-        // Auto-remove featured from others if this item is being featured
-        const hasFeatured = (tableName === 'projects' || tableName === 'blog') && data.featured === 1;
-        if (hasFeatured) {
-            db.run(`UPDATE ${tableName} SET featured = 0 WHERE featured = 1 AND id != ?`, [req.params.id], (err) => {
-                if (err) console.error('Error unfeaturing old items:', err);
+            
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(req.params.id);
+            const query = `UPDATE ${tableName} SET ${updates.join(', ')} WHERE id = ?`;
+            
+            // Snapshot the current version first so a bad save can be undone
+            saveRevision(tableName, req.params.id, data, whitelist.filter(c => !GENERATED_COLUMNS.includes(c)), req.session.username || 'admin', (revErr) => {
+                if (revErr) {
+                    console.error(`Error saving ${tableName} revision:`, revErr);
+                    return res.status(500).json({ error: 'Internal server error' });
+                }
+                db.run(query, values, function(err) {
+                    if (err) {
+                        console.error(`Error updating ${tableName}:`, err);
+                        return res.status(500).json({ error: 'Internal server error' });
+                    }
+                    const changes = this.changes;
+                    recordSlugChange(tableName, req.params.id, previousSlug, data.slug);
+                    syncDerived(tableName, req.params.id, changes ? data : {}, () => {
+                        syncSearchIndex(tableName, req.params.id);
+                        res.json({ success: true, changes });
+                    });
+                });
             });
-        }
-        
-        const updates = [];
-        const values = [];
-        const whitelist = allowedColumns[tableName] || [];
-        
-        Object.keys(data).forEach(key => {
-            if (key === 'id' || !whitelist.includes(key)) return;
-            if ((key === 'tags' || key === 'skills') && Array.isArray(data[key])) {
-                updates.push(`${key} = ?`);
-                values.push(JSON.stringify(data[key]));
-            } else {
-                updates.push(`${key} = ?`);
-                values.push(data[key]);
-            }
-        });
-        
-        values.push(req.params.id);
-        const query = `UPDATE ${tableName} SET ${updates.join(', ')} WHERE id = ?`;
-        
-        db.run(query, values, function(err) {
-            if (err) {
-                console.error(`Error updating ${tableName}:`, err);
-                return res.status(500).json({ error: 'Internal server error' });
-            }
-            res.json({ success: true, changes: this.changes });
         });
     });
 
-    // Delete item (admin only)
+    // Delete item (admin only) — moves it to the trash; files and history are kept until it's purged
     router.delete(`/${tableName}/:id`, requireAuth, (req, res) => {
-        // Fetch image_url before deleting so we can remove the file from disk
-        db.get(`SELECT image_url FROM ${tableName} WHERE id = ?`, [req.params.id], (fetchErr, row) => {
-            db.run(`DELETE FROM ${tableName} WHERE id = ?`, [req.params.id], function(err) {
+        db.run(
+            `UPDATE ${tableName} SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL`,
+            [req.params.id],
+            function(err) {
                 if (err) { console.error(`Error deleting ${tableName}:`, err); return res.status(500).json({ error: 'Internal server error' }); }
-                if (row && row.image_url) deleteUploadFile(row.image_url);
+                syncSearchIndex(tableName, req.params.id);
                 res.json({ success: true, changes: this.changes });
-            });
+            }
+        );
+    });
+
+    // Revision history (admin only)
+    if (REVISION_TABLES.includes(tableName)) {
+        const restorableColumns = allowedColumns[tableName].filter(c => !NON_RESTORABLE_COLUMNS.includes(c));
+
+        // List revisions, newest first
+        router.get(`/${tableName}/:id/revisions`, requireAuth, (req, res) => {
+            db.all(
+                `SELECT id, changed_fields, editor, created_at FROM revisions
+                 WHERE table_name = ? AND item_id = ? ORDER BY created_at DESC, rowid DESC`,
+                [tableName, req.params.id],
+                (err, rows) => {
+                    if (err) { console.error(`Error fetching ${tableName} revisions:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+                    res.json(rows.map(row => ({ ...row, changed_fields: JSON.parse(row.changed_fields) })));
+                }
+            );
         });
+
+        // Field-level diff between a revision and the current version
+        router.get(`/${tableName}/:id/revisions/:revisionId`, requireAuth, (req, res) => {
+            db.get(
+                'SELECT * FROM revisions WHERE id = ? AND table_name = ? AND item_id = ?',
+                [req.params.revisionId, tableName, req.params.id],
+                (err, revision) => {
+                    if (err) { console.error(`Error fetching ${tableName} revision:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+                    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+                    db.get(`SELECT * FROM ${tableName} WHERE id = ?`, [req.params.id], (curErr, current) => {
+                        if (curErr) { console.error(`Error fetching ${tableName} by id:`, curErr); return res.status(500).json({ error: 'Internal server error' }); }
+                        if (!current) return res.status(404).json({ error: 'Not found' });
+                        const snapshot = JSON.parse(revision.snapshot);
+                        const diff = allowedColumns[tableName]
+                            .filter(field => String(snapshot[field] ?? '') !== String(current[field] ?? ''))
+                            .map(field => ({ field, revision: snapshot[field] ?? null, current: current[field] ?? null }));
+                        res.json({
+                            id: revision.id,
+                            editor: revision.editor,
+                            created_at: revision.created_at,
+                            changed_fields: JSON.parse(revision.changed_fields),
+                            snapshot,
+                            diff
+                        });
+                    });
+                }
+            );
+        });
+
+        // Restore the content of an older revision. The version being replaced is
+        // itself saved as a revision, so a restore can be undone.
+        router.post(`/${tableName}/:id/revisions/:revisionId/restore`, requireAuth, (req, res) => {
+            db.get(
+                'SELECT snapshot FROM revisions WHERE id = ? AND table_name = ? AND item_id = ?',
+                [req.params.revisionId, tableName, req.params.id],
+                (err, revision) => {
+                    if (err) { console.error(`Error fetching ${tableName} revision:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+                    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+                    const snapshot = JSON.parse(revision.snapshot);
+                    const data = {};
+                    restorableColumns.forEach(col => { data[col] = snapshot[col] ?? null; });
+
+                    saveRevision(tableName, req.params.id, data, restorableColumns, req.session.username || 'admin', (revErr, changedFields) => {
+                        if (revErr) {
+                            console.error(`Error saving ${tableName} revision:`, revErr);
+                            return res.status(500).json({ error: 'Internal server error' });
+                        }
+                        if (changedFields.length === 0) return res.json({ success: true, changes: 0 });
+                        db.run(
+                            `UPDATE ${tableName} SET ${changedFields.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                            [...changedFields.map(col => data[col]), req.params.id],
+                            function(updErr) {
+                                if (updErr) {
+                                    console.error(`Error restoring ${tableName} revision:`, updErr);
+                                    return res.status(500).json({ error: 'Internal server error' });
+                                }
+                                const changes = this.changes;
+                                const restored = {};
+                                changedFields.forEach(col => { restored[col] = data[col]; });
+                                // Generated excerpt/read time follow the restored content
+                                const refreshStats = tableName === 'blog' && changedFields.includes('content')
+                                    ? refreshReadingStats : (id, cb) => cb(null);
+                                refreshStats(req.params.id, (statsErr) => {
+                                    if (statsErr) console.error('Error computing reading stats:', statsErr);
+                                    syncDerived(tableName, req.params.id, restored, () => {
+                                        syncSearchIndex(tableName, req.params.id);
+                                        res.json({ success: true, changes, restored: changedFields });
+                                    });
+                                });
+                            }
+                        );
+                    });
+                }
+            );
+        });
+    }
+
+    // Reorder items (admin only) — body { ids: [...] } in the new display order.
+    // One UPDATE statement, so SQLite applies the whole order atomically or not at all.
+    router.patch(`/${tableName}/reorder`, requireAuth, (req, res) => {
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > 1000 || !ids.every(id => typeof id === 'string')) {
+            return res.status(400).json({ error: 'ids must be a non-empty array of item ids' });
+        }
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({ error: 'ids must not contain duplicates' });
+        }
+        const idsJson = JSON.stringify(ids);
+
+        db.get(
+            `SELECT COUNT(*) AS count FROM ${tableName} WHERE deleted_at IS NULL AND id IN (SELECT value FROM json_each(?))`,
+            [idsJson],
+            (err, row) => {
+                if (err) { console.error(`Error reordering ${tableName}:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+                if (row.count !== ids.length) return res.status(400).json({ error: `Unknown ${tableName} id in reorder list` });
+
+                db.run(
+                    `UPDATE ${tableName}
+                     SET order_num = (SELECT CAST(key AS INTEGER) FROM json_each(?) WHERE value = ${tableName}.id),
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE id IN (SELECT value FROM json_each(?))`,
+                    [idsJson, idsJson],
+                    function(updErr) {
+                        if (updErr) { console.error(`Error reordering ${tableName}:`, updErr); return res.status(500).json({ error: 'Internal server error' }); }
+                        res.json({ success: true, changes: this.changes });
+                    }
+                );
+            }
+        );
     });
 
     // Toggle hidden status (admin only)
     router.patch(`/${tableName}/:id/toggle`, requireAuth, (req, res) => {
         db.run(
-            `UPDATE ${tableName} SET hidden = CASE WHEN hidden = 0 THEN 1 ELSE 0 END WHERE id = ?`,
+            `UPDATE ${tableName} SET hidden = CASE WHEN hidden = 0 THEN 1 ELSE 0 END, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
             [req.params.id],
             function(err) {
                 if (err) {
@@ -469,18 +1063,66 @@ const createCRUDRoutes = (tableName) => {
 };
 
 // Create routes for each table
-['experience', 'education', 'projects', 'blog', 'skills'].forEach(createCRUDRoutes);
+CONTENT_TABLES.forEach(createCRUDRoutes);
+
+// Trash (admin only) — what each table shows as the item's name in the list
+const TRASH_LABELS = {
+    experience: "company || ' — ' || role",
+    education: "institution || ' — ' || degree",
+    projects: 'title',
+    blog: 'title',
+    skills: 'category'
+};
+
+router.get('/trash', requireAuth, (req, res) => {
+    const query = CONTENT_TABLES
+        .map(t => `SELECT '${t}' AS table_name, id, ${TRASH_LABELS[t]} AS title, deleted_at FROM ${t} WHERE deleted_at IS NOT NULL`)
+        .join(' UNION ALL ') + ' ORDER BY deleted_at DESC';
+    db.all(query, [], (err, rows) => {
+        if (err) { console.error('Error fetching trash:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        res.json(rows.map(row => ({
+            ...row,
+            // deleted_at is SQLite UTC "YYYY-MM-DD HH:MM:SS"
+            expires_at: new Date(new Date(row.deleted_at.replace(' ', 'T') + 'Z').getTime() + TRASH_RETENTION_DAYS * 86400000).toISOString()
+        })));
+    });
+});
+
+router.post('/trash/:table/:id/restore', requireAuth, (req, res) => {
+    const tableName = req.params.table;
+    if (!CONTENT_TABLES.includes(tableName)) return res.status(400).json({ error: 'Unknown content table' });
+    db.run(`UPDATE ${tableName} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NOT NULL`, [req.params.id], function(err) {
+        if (err) { console.error(`Error restoring ${tableName}:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (this.changes === 0) return res.status(404).json({ error: 'Not found in trash' });
+        syncSearchIndex(tableName, req.params.id);
+        res.json({ success: true });
+    });
+});
+
+// Purge one item for good
+router.delete('/trash/:table/:id', requireAuth, (req, res) => {
+    const tableName = req.params.table;
+    if (!CONTENT_TABLES.includes(tableName)) return res.status(400).json({ error: 'Unknown content table' });
+    purgeItem(tableName, req.params.id, (err, changes) => {
+        if (err) { console.error(`Error purging ${tableName}:`, err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!changes) return res.status(404).json({ error: 'Not found in trash' });
+        res.json({ success: true });
+    });
+});
+
+// Empty the whole trash
+router.delete('/trash', requireAuth, (req, res) => {
+    purgeTrash()
+        .then(count => res.json({ success: true, purged: count }))
+        .catch(err => { console.error('Error emptying trash:', err); res.status(500).json({ error: 'Internal server error' }); });
+});
 
 // Keys that must never be exposed to the public frontend
 const SENSITIVE_KEYS = ['admin_password_hash', 'admin_username', 'smtp_user', 'smtp_app_password', 'recovery_email'];
 
-// Settings routes — public (filters out sensitive keys)
-router.get('/settings', (req, res) => {
-    // Cache-busting headers
-    res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.set('Pragma', 'no-cache');
-    res.set('Expires', '0');
-    
+// Settings routes — public (filters out sensitive keys). Revalidated on every load via
+// the ETag, so edits still show up straight away.
+router.get('/settings', cachedRead('settings'), (req, res) => {
     db.all('SELECT * FROM settings', [], (err, rows) => {
         if (err) { console.error('Error fetching settings:', err); return res.status(500).json({ error: 'Internal server error' }); }
         const settings = {};
@@ -548,4 +1190,74 @@ router.put('/settings/:key', requireAuth, (req, res) => {
     );
 });
 
+// Homepage payload — every public section in one response, trimmed to what the homepage
+// cards use. Blog posts carry a 200-character `preview` instead of their full content.
+const BOOTSTRAP_COLUMNS = {
+    experience: 'id, company, role, period, location, description, badge',
+    education: 'id, institution, degree, period, location, description, badge',
+    projects: 'id, title, slug, description, tags, image_url, project_url, github_url, featured',
+    blog: 'id, title, slug, excerpt, substr(content, 1, 200) AS preview, tags, image_url, read_time, featured, published, publish_at, created_at',
+    skills: 'id, category, skills'
+};
+
+const HOMEPAGE_COLLECTIONS = [...CONTENT_TABLES, 'settings'];
+
+function queryHomepageContent(callback) {
+    const query = (sql) => new Promise((resolve, reject) => {
+        db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const visible = (tableName) => `deleted_at IS NULL AND hidden = 0${tableName === 'blog' ? ` AND ${BLOG_LIVE_SQL}` : ''}`;
+
+    Promise.all([
+        ...CONTENT_TABLES.map(tableName => query(
+            `SELECT ${BOOTSTRAP_COLUMNS[tableName]} FROM ${tableName} WHERE ${visible(tableName)} ORDER BY order_num, created_at`
+        )),
+        query('SELECT key, value FROM settings')
+    ])
+        .then(results => {
+            const payload = {};
+            CONTENT_TABLES.forEach((tableName, i) => {
+                payload[tableName] = results[i].map(row => {
+                    try {
+                        if (typeof row.tags === 'string') row.tags = JSON.parse(row.tags);
+                        if (typeof row.skills === 'string') row.skills = JSON.parse(row.skills);
+                    } catch (parseErr) {
+                        console.error('JSON parse error:', parseErr);
+                    }
+                    return row;
+                });
+            });
+            payload.settings = {};
+            results[CONTENT_TABLES.length].forEach(row => {
+                if (!SENSITIVE_KEYS.includes(row.key)) payload.settings[row.key] = row.value;
+            });
+            // Card images get their responsive variants (see api/images.js)
+            attachImageSets([...payload.projects, ...payload.blog], (imageErr) => {
+                if (imageErr) return callback(imageErr);
+                callback(null, payload);
+            });
+        })
+        .catch(callback);
+}
+
+// The homepage payload, shared with the server-side render of index.html (see server.js).
+// Kept in the content cache, so it's only queried again after a write.
+function loadHomepageContent(callback) {
+    cachedValue(HOMEPAGE_COLLECTIONS, 'homepage', queryHomepageContent, callback);
+}
+
+router.get('/bootstrap', cachedRead(...HOMEPAGE_COLLECTIONS), (req, res) => {
+    loadHomepageContent((err, payload) => {
+        if (err) {
+            console.error('Error fetching homepage content:', err);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        res.json(payload);
+    });
+});
+
 module.exports = router;
+module.exports.resolveSlug = resolveSlug;
+module.exports.purgeExpiredTrash = purgeExpiredTrash;
+module.exports.refreshRenderedContent = refreshRenderedContent;
+module.exports.loadHomepageContent = loadHomepageContent;
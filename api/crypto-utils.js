@@ -59,4 +59,23 @@ function decrypt(encryptedHex) {
     }
 }
 
-module.exports = { encrypt, decrypt };
+/**
+ * HMAC-SHA256 signature of a string (base64url), keyed separately from encryption.
+ * Used for shareable signed URLs such as draft previews.
+ */
+function sign(value) {
+    const signingKey = crypto.createHmac('sha256', getKey()).update('url-signing').digest();
+    return crypto.createHmac('sha256', signingKey).update(String(value)).digest('base64url');
+}
+
+/**
+ * Constant-time check that `signature` was produced by sign(value).
+ */
+function verifySignature(value, signature) {
+    if (typeof signature !== 'string' || !signature) return false;
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { encrypt, decrypt, sign, verifySignature };
@@ -0,0 +1,184 @@
+const express = require('express');
+const escapeHtml = require('escape-html');
+const { db } = require('../database/db');
+const { BLOG_LIVE_SQL } = require('./visibility');
+const { resolveTag } = require('./tags');
+const { postContent, stripHeadingAnchors } = require('./markdown');
+const { siteUrl, absoluteUrl, toDate } = require('./site-utils');
+const router = express.Router();
+
+// Syndication feeds for the blog: RSS 2.0, Atom and JSON Feed 1.1,
+// site-wide at /feed.xml, /atom.xml, /feed.json and per tag under /blog/tag/:slug/.
+const FEED_TITLE = 'Tech Insights by Bishwash Acharya';
+const FEED_DESCRIPTION = 'Posts on web development, data analytics, quality assurance and career growth in technology.';
+const FEED_AUTHOR = 'Bishwash Acharya';
+const FEED_LIMIT = 20;
+
+const FEED_FORMATS = {
+    'feed.xml': { type: 'application/rss+xml; charset=utf-8', render: renderRss },
+    'atom.xml': { type: 'application/atom+xml; charset=utf-8', render: renderAtom },
+    'feed.json': { type: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+// Live public posts, newest first — the same rules as the sitemap
+function fetchPosts(tagId, callback) {
+    const conditions = ['deleted_at IS NULL', 'hidden = 0', BLOG_LIVE_SQL];
+    const params = [];
+    if (tagId) {
+        conditions.push("EXISTS (SELECT 1 FROM content_tags ct WHERE ct.table_name = 'blog' AND ct.item_id = blog.id AND ct.tag_id = ?)");
+        params.push(tagId);
+    }
+    db.all(
+        `SELECT id, title, slug, content, content_html, render_version, excerpt, tags, image_url, author, COALESCE(publish_at, created_at) AS published_at
+         FROM blog WHERE ${conditions.join(' AND ')}
+         ORDER BY published_at DESC LIMIT ${FEED_LIMIT}`,
+        params,
+        callback
+    );
+}
+
+// Shape rows into format-neutral feed entries
+function buildFeed(req, posts, tag, format) {
+    const base = siteUrl(req);
+    const tagPath = tag ? `/blog/tag/${encodeURIComponent(tag.slug)}` : '';
+    const entries = posts.map(post => {
+        let tags = [];
+        try { tags = JSON.parse(post.tags || '[]'); } catch (e) { /* leave empty */ }
+        return {
+            id: post.id,
+            title: post.title,
+            url: `${base}/blog/${encodeURIComponent(post.slug || post.id)}`,
+            summary: post.excerpt || '',
+            // Feed readers resolve links against the feed, not the site, so make them absolute
+            html: stripHeadingAnchors(postContent(post).html).replace(/(src|href)="\/(?!\/)/g, `$1="${base}/`),
+            image: absoluteUrl(base, post.image_url),
+            author: post.author || FEED_AUTHOR,
+            tags: Array.isArray(tags) ? tags : [],
+            date: toDate(post.published_at)
+        };
+    });
+    return {
+        title: tag ? `${tag.name} | ${FEED_TITLE}` : FEED_TITLE,
+        description: tag ? `Posts tagged "${tag.name}" by ${FEED_AUTHOR}.` : FEED_DESCRIPTION,
+        homeUrl: `${base}${tagPath || '/blogs'}`,
+        feedUrl: `${base}${tagPath}/${format}`,
+        updated: entries.length ? entries[0].date : new Date(),
+        entries
+    };
+}
+
+// CDATA can't contain "]]>", so split it across two sections
+function cdata(text) {
+    return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function renderRss(feed) {
+    const items = feed.entries.map(entry => `    <item>
+      <title>${escapeHtml(entry.title)}</title>
+      <link>${escapeHtml(entry.url)}</link>
+      <guid isPermaLink="false">${escapeHtml(entry.id)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+      <dc:creator>${escapeHtml(entry.author)}</dc:creator>
+${entry.tags.map(t => `      <category>${escapeHtml(t)}</category>\n`).join('')}      <description>${escapeHtml(entry.summary)}</description>
+      <content:encoded>${cdata(entry.html)}</content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeHtml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>`;
+}
+
+function renderAtom(feed) {
+    const entries = feed.entries.map(entry => `  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <link href="${escapeHtml(entry.url)}"/>
+    <id>urn:uuid:${escapeHtml(entry.id)}</id>
+    <published>${entry.date.toISOString()}</published>
+    <updated>${entry.date.toISOString()}</updated>
+    <author><name>${escapeHtml(entry.author)}</name></author>
+${entry.tags.map(t => `    <category term="${escapeHtml(t)}"/>\n`).join('')}${entry.summary ? `    <summary>${escapeHtml(entry.summary)}</summary>\n` : ''}    <content type="html">${escapeHtml(entry.html)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link href="${escapeHtml(feed.homeUrl)}"/>
+  <link href="${escapeHtml(feed.feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeHtml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${FEED_AUTHOR}</name></author>
+${entries}
+</feed>`;
+}
+
+function renderJsonFeed(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.feedUrl,
+        language: 'en',
+        authors: [{ name: FEED_AUTHOR }],
+        items: feed.entries.map(entry => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.title,
+            content_html: entry.html,
+            ...(entry.summary && { summary: entry.summary }),
+            ...(entry.image && { image: entry.image }),
+            date_published: entry.date.toISOString(),
+            authors: [{ name: entry.author }],
+            tags: entry.tags
+        }))
+    }, null, 2);
+}
+
+function sendFeed(req, res, next, format, tag) {
+    fetchPosts(tag && tag.id, (err, posts) => {
+        if (err) return next(err);
+        const { type, render } = FEED_FORMATS[format];
+        res.set('Content-Type', type);
+        res.send(render(buildFeed(req, posts, tag, format)));
+    });
+}
+
+Object.keys(FEED_FORMATS).forEach(format => {
+    router.get(`/${format}`, (req, res, next) => sendFeed(req, res, next, format, null));
+
+    // Per-tag feeds; old slugs of renamed or merged tags redirect like the tag pages do
+    router.get(`/blog/tag/:slug/${format}`, (req, res, next) => {
+        resolveTag(req.params.slug, (err, tag) => {
+            if (err) return next(err);
+            if (!tag) return res.status(404).json({ error: 'Tag not found' });
+            if (!tag.canonical) return res.redirect(301, `/blog/tag/${encodeURIComponent(tag.slug)}/${format}`);
+            sendFeed(req, res, next, format, tag);
+        });
+    });
+});
+
+// <link rel="alternate"> tags advertising the feeds for a page (optionally a tag's)
+function feedLinks(tag) {
+    const prefix = tag ? `/blog/tag/${encodeURIComponent(tag.slug)}` : '';
+    const title = tag ? `${tag.name} | ${FEED_TITLE}` : FEED_TITLE;
+    return [
+        ['application/rss+xml', 'feed.xml', 'RSS'],
+        ['application/atom+xml', 'atom.xml', 'Atom'],
+        ['application/feed+json', 'feed.json', 'JSON Feed']
+    ].map(([type, file, label]) =>
+        `<link rel="alternate" type="${type}" title="${escapeHtml(`${title} (${label})`)}" href="${prefix}/${file}">`
+    ).join('\n    ');
+}
+
+module.exports = router;
+module.exports.feedLinks = feedLinks;
@@ -0,0 +1,180 @@
+const path = require('path');
+const sharp = require('sharp');
+const { db } = require('../database/db');
+const { invalidate } = require('./content-cache');
+const storage = require('./storage');
+
+// Responsive images for uploads. Each uploaded JPEG/PNG/WebP is turned upright and saved
+// again without its EXIF/GPS metadata, then resized WebP and AVIF copies are stored next
+// to it ("<name>-640w.webp"). Dimensions and variants go in the images table, and content
+// rows using the image get them as `image_set` ({ width, height, srcset: { avif, webp } }).
+
+const VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+const VARIANT_FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 }
+};
+// Originals are re-encoded in their own format. GIFs (no EXIF, often animated) and other
+// animated images are only measured.
+const RESAVE_OPTIONS = {
+    jpeg: { quality: 90, mozjpeg: true },
+    png: { compressionLevel: 9 },
+    webp: { quality: 90 }
+};
+// Content types the files are stored with
+const FORMAT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+
+// "<name>-640w.webp" — a generated variant rather than an upload of its own
+const VARIANT_NAME = /-\d+w\.(avif|webp)$/;
+
+function isImageVariant(filename) {
+    return VARIANT_NAME.test(filename);
+}
+
+// Storage key of an upload URL
+function uploadKey(url) {
+    return path.basename(url);
+}
+
+// Variant widths for an image: the standard sizes below it, plus one at (up to) full size
+function variantWidths(width) {
+    const top = Math.min(width, VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]);
+    return [...VARIANT_WIDTHS.filter(w => w < top), top];
+}
+
+function srcsets(variants) {
+    const sets = {};
+    Object.keys(VARIANT_FORMATS).forEach(format => {
+        const list = variants.filter(v => v.format === format);
+        if (list.length) sets[format] = list.map(v => `${v.url} ${v.width}w`).join(', ');
+    });
+    return sets;
+}
+
+function parseVariants(row) {
+    try {
+        const variants = JSON.parse(row.variants || '[]');
+        return Array.isArray(variants) ? variants : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// What the card renderers need: the intrinsic size and a srcset per format
+function toImageSet(row) {
+    return { width: row.width, height: row.height, srcset: srcsets(parseVariants(row)) };
+}
+
+/**
+ * Strip the metadata from an uploaded image and store it with its responsive variants,
+ * then record them. `input` is the uploaded file. Resolves to { image, data } — the
+ * manifest { url, width, height, format, variants, srcset: { avif, webp } } and the bytes
+ * stored for the original — or to null (storing nothing) when sharp can't read the image.
+ */
+async function processUpload(url, input) {
+    let meta;
+    try {
+        meta = await sharp(input).metadata();
+    } catch (err) {
+        return null;
+    }
+    if (!meta.width || !meta.height) return null;
+
+    // EXIF orientations 5-8 are rotated a quarter turn, swapping width and height
+    const quarterTurn = (meta.orientation || 1) >= 5;
+    const width = quarterTurn ? meta.height : meta.width;
+    const height = quarterTurn ? meta.width : meta.height;
+    const variants = [];
+    let data = input;
+
+    if (RESAVE_OPTIONS[meta.format] && (meta.pages || 1) === 1) {
+        data = await sharp(input).rotate().toFormat(meta.format, RESAVE_OPTIONS[meta.format]).toBuffer();
+
+        const key = uploadKey(url);
+        const base = path.basename(key, path.extname(key));
+        for (const variantWidth of variantWidths(width)) {
+            for (const [format, options] of Object.entries(VARIANT_FORMATS)) {
+                const name = `${base}-${variantWidth}w.${format}`;
+                const { data: variant, info } = await sharp(data)
+                    .resize({ width: variantWidth })
+                    .toFormat(format, options)
+                    .toBuffer({ resolveWithObject: true });
+                await storage.put(name, variant, FORMAT_TYPES[format]);
+                variants.push({ url: `/uploads/${name}`, format, width: info.width, height: info.height, size: info.size });
+            }
+        }
+    }
+    await storage.put(uploadKey(url), data, FORMAT_TYPES[meta.format]);
+
+    await new Promise((resolve, reject) => {
+        db.run(
+            'INSERT OR REPLACE INTO images (url, width, height, format, variants) VALUES (?, ?, ?, ?, ?)',
+            [url, width, height, meta.format, JSON.stringify(variants)],
+            err => err ? reject(err) : resolve()
+        );
+    });
+    return { image: { url, width, height, format: meta.format, variants, srcset: srcsets(variants) }, data };
+}
+
+// Add `image_set` to every row whose image_url has recorded variants
+function attachImageSets(rows, callback) {
+    const urls = [...new Set(rows.map(row => row.image_url).filter(Boolean))];
+    if (!urls.length) return callback(null, rows);
+    db.all(`SELECT * FROM images WHERE url IN (${urls.map(() => '?').join(',')})`, urls, (err, images) => {
+        if (err) return callback(err);
+        const sets = new Map(images.map(image => [image.url, toImageSet(image)]));
+        rows.forEach(row => {
+            if (sets.has(row.image_url)) row.image_set = sets.get(row.image_url);
+        });
+        callback(null, rows);
+    });
+}
+
+// Delete the variant files of an upload and forget its dimensions
+function deleteImageVariants(url) {
+    db.get('SELECT variants FROM images WHERE url = ?', [url], (err, row) => {
+        if (err) return console.error('Error fetching image variants:', err);
+        if (!row) return;
+        parseVariants(row).forEach(variant => {
+            storage.remove(uploadKey(variant.url))
+                .catch(removeErr => console.error('Failed to delete image variant:', variant.url, removeErr.message));
+        });
+        db.run('DELETE FROM images WHERE url = ?', [url], (delErr) => {
+            if (delErr) console.error('Error deleting image record:', delErr);
+        });
+    });
+}
+
+// Every recorded image: calls back with a Map of upload URL -> its variant URLs
+function loadImageVariants(callback) {
+    db.all('SELECT url, variants FROM images', [], (err, rows) => {
+        if (err) return callback(err);
+        callback(null, new Map(rows.map(row => [row.url, parseVariants(row).map(variant => variant.url)])));
+    });
+}
+
+// Generate variants for project and blog images uploaded before the pipeline existed
+async function processExistingImages() {
+    const rows = await new Promise((resolve, reject) => {
+        db.all(
+            `SELECT DISTINCT image_url FROM (SELECT image_url FROM projects UNION SELECT image_url FROM blog)
+             WHERE image_url LIKE '/uploads/%' AND image_url NOT IN (SELECT url FROM images)`,
+            [],
+            (err, result) => err ? reject(err) : resolve(result)
+        );
+    });
+    let processed = 0;
+    for (const { image_url: url } of rows) {
+        try {
+            if (await processUpload(url, await storage.get(uploadKey(url)))) processed++;
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Error processing image:', url, err.message);
+        }
+    }
+    if (processed > 0) {
+        invalidate('projects', 'blog');
+        console.log(`Generated responsive variants for ${processed} existing image(s)`);
+    }
+}
+
+module.exports = { processUpload, attachImageSets, deleteImageVariants, loadImageVariants, processExistingImages, isImageVariant };
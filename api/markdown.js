@@ -0,0 +1,163 @@
+const { Marked } = require('marked');
+const { markedHighlight } = require('marked-highlight');
+const markedFootnote = require('marked-footnote');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slug-utils');
+
+// Markdown → HTML for blog posts: GFM with line breaks, highlighted code blocks,
+// footnotes, and headings with stable ids collected into a table of contents.
+// Posts cache the output (blog.content_html / blog.toc); bump RENDER_VERSION whenever
+// the output — or the text reading stats are counted from — changes so cached copies
+// and stats are refreshed on the next boot.
+const RENDER_VERSION = 2;
+
+// Headings at these depths go into the table of contents
+const TOC_DEPTHS = [2, 3];
+
+// Reading stats for posts
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 160;
+
+// Per-call state for the heading renderer (rendering is synchronous)
+let current = null;
+
+function stripTags(html) {
+    return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+const marked = new Marked(
+    { breaks: true, gfm: true },
+    markedHighlight({
+        langPrefix: 'hljs language-',
+        emptyLangClass: 'hljs',
+        highlight(code, lang) {
+            const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+            return hljs.highlight(code, { language }).value;
+        }
+    }),
+    markedFootnote(),
+    {
+        renderer: {
+            // Same text always gives the same id, repeats get -2, -3... like GitHub
+            heading({ tokens, depth }) {
+                const inner = this.parser.parseInline(tokens);
+                const text = stripTags(inner).trim();
+                const base = slugify(text) || 'section';
+                const count = current.ids.get(base) || 0;
+                current.ids.set(base, count + 1);
+                const id = count ? `${base}-${count + 1}` : base;
+                current.headingIds.add(id);
+                if (TOC_DEPTHS.includes(depth)) current.toc.push({ level: depth, text, id });
+                return `<h${depth} id="${id}">${inner}<a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a></h${depth}>\n`;
+            }
+        }
+    }
+);
+
+// Roughly what DOMPurify lets through on the client: formatting, links, images, code and tables,
+// plus the markup for highlighting, heading anchors and footnotes
+const SANITIZE_OPTIONS = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del', 'input', 'section']),
+    allowedAttributes: {
+        ...sanitizeHtml.defaults.allowedAttributes,
+        '*': ['id'],
+        a: ['href', 'name', 'target', 'class', 'aria-label', 'aria-describedby', 'data-footnote-ref', 'data-footnote-backref'],
+        img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+        code: ['class'],
+        span: ['class'],
+        h2: ['id', 'class'],
+        section: ['class', 'data-footnotes'],
+        th: ['align'],
+        td: ['align'],
+        input: ['type', 'checked', 'disabled']
+    },
+    allowedClasses: {
+        a: ['heading-anchor'],
+        code: ['hljs', 'language-*'],
+        span: ['hljs-*'],
+        h2: ['sr-only'],
+        section: ['footnotes']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    // Only ids the renderer generated survive — raw HTML in a post can't inject its own
+    transformTags: {
+        '*': (tagName, attribs) => {
+            if (attribs.id && !current.headingIds.has(attribs.id) && !/^footnote-/.test(attribs.id)) {
+                const { id, ...rest } = attribs;
+                return { tagName, attribs: rest };
+            }
+            return { tagName, attribs };
+        }
+    }
+};
+
+/**
+ * Render a post's Markdown to sanitized HTML plus its table of contents
+ * ([{ level, text, id }] for h2/h3).
+ */
+function renderPost(markdown) {
+    if (!markdown) return { html: '', toc: [] };
+    current = { ids: new Map(), headingIds: new Set(), toc: [] };
+    try {
+        const html = sanitizeHtml(marked.parse(String(markdown)), SANITIZE_OPTIONS);
+        return { html, toc: current.toc };
+    } finally {
+        current = null;
+    }
+}
+
+// Just the HTML, for callers without a cached copy
+function renderMarkdown(markdown) {
+    return renderPost(markdown).html;
+}
+
+// A blog row's { html, toc }, from its cache when that was made by the current renderer
+function postContent(post) {
+    if (post.content_html != null && post.render_version === RENDER_VERSION) {
+        let toc = [];
+        try { toc = JSON.parse(post.toc || '[]'); } catch (e) { /* fall back to no TOC */ }
+        return { html: post.content_html, toc };
+    }
+    return renderPost(post.content);
+}
+
+// Drop the "#" heading links where they'd be noise (feeds, plain text)
+function stripHeadingAnchors(html) {
+    return html.replace(/<a class="heading-anchor"[^>]*>#<\/a>/g, '');
+}
+
+// Drop the footnotes section (with its sr-only heading and back-reference arrows) and the
+// superscript references to it — asides rather than part of the text
+function stripFootnotes(html) {
+    return html
+        .replace(/<section class="footnotes"[^>]*>[\s\S]*?<\/section>/g, '')
+        .replace(/<sup><a [^>]*data-footnote-ref[^>]*>[^<]*<\/a><\/sup>/g, '')
+        .replace(/<a [^>]*data-footnote-backref[^>]*>[^<]*<\/a>/g, '');
+}
+
+// Plain text of a post (for meta descriptions and the like), whitespace collapsed
+function markdownToText(markdown) {
+    return stripTags(stripFootnotes(stripHeadingAnchors(renderMarkdown(markdown)))).replace(/\s+/g, ' ').trim();
+}
+
+// Cut text to at most `length` characters at a word boundary, with an ellipsis
+function truncateText(text, length) {
+    if (text.length <= length) return text;
+    return text.slice(0, length - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// Word count, minutes to read and a plain-text excerpt, counted from the rendered post
+// (so Markdown syntax, URLs, heading anchors and footnotes don't count as words)
+function readingStats(markdown) {
+    const text = markdownToText(markdown);
+    const wordCount = text ? text.split(' ').length : 0;
+    return {
+        wordCount,
+        readTime: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+        excerpt: truncateText(text, EXCERPT_LENGTH)
+    };
+}
+
+module.exports = { RENDER_VERSION, renderPost, renderMarkdown, postContent, stripHeadingAnchors, markdownToText, truncateText, readingStats };
@@ -0,0 +1,448 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../database/db');
+const { deleteImageVariants, loadImageVariants, isImageVariant } = require('./images');
+const storage = require('./storage');
+const router = express.Router();
+
+// Media library: the uploads table records every uploaded file (original name, MIME type,
+// size, SHA-256, alt text, uploader). Admin: GET /api/media?q=&type=image|document,
+// GET/PATCH/DELETE /api/media/:id. A file is "in use" while a setting, a content row —
+// including one in the trash — or a saved revision of one mentions its URL, and can't be
+// deleted until it isn't.
+//
+// Garbage collection: GET /api/media/scan is a dry run that reports orphaned files (stored,
+// used by nothing), dangling links (used, but not stored) and library records whose file is
+// missing or no longer has its recorded size. Sizes come from the listing rather than
+// re-hashing every file. POST /api/media/scan { action, urls } then quarantines, deletes or
+// restores the files picked from that report. Quarantined files sit in the storage's
+// .quarantine/ folder (never served) with their image variants. A daily job quarantines
+// orphans older than the grace period and deletes expired quarantine.
+//
+// GET/DELETE /api/media/rejections: the log of uploads the file checks refused.
+
+// Storage folder of quarantined files ('' is the top level, where uploads are served from)
+const QUARANTINE_FOLDER = '.quarantine';
+
+const MAX_ALT_LENGTH = 300;
+const MAX_NAME_LENGTH = 255;
+// Orphans younger than this are left alone by the daily job — the upload may belong to
+// an item that is still being written
+const ORPHAN_GRACE_DAYS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_DAYS, 10) || 7;
+const QUARANTINE_RETENTION_DAYS = parseInt(process.env.UPLOAD_QUARANTINE_DAYS, 10) || 30;
+const CLEANUP_ACTIONS = ['quarantine', 'delete', 'restore'];
+// An upload URL inside any text: "/uploads/<file name>"
+const UPLOAD_URL_PATTERN = /\/uploads\/([^\s"'()<>\[\]?#\\/]+)/g;
+
+// Content columns that can point at an upload, and the column that names the row
+const REFERENCE_COLUMNS = {
+    experience: { label: 'company', columns: ['description'] },
+    education: { label: 'institution', columns: ['description'] },
+    projects: { label: 'title', columns: ['image_url', 'description'] },
+    blog: { label: 'title', columns: ['image_url', 'excerpt', 'content'] }
+};
+
+// For stored files without a record (uploaded before the media library)
+const EXTENSION_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp',
+    '.pdf': 'application/pdf', '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Middleware to check admin auth
+const requireAuth = (req, res, next) => {
+    if (!req.session.isAdmin) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+};
+
+/**
+ * Everything that may mention an upload URL: calls back with a list of
+ * { reference, text }, where `reference` describes the setting, content row or revision.
+ */
+function loadReferenceSources(callback) {
+    const query = (sql) => new Promise((resolve, reject) => {
+        db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const tables = Object.keys(REFERENCE_COLUMNS);
+
+    Promise.all([
+        query('SELECT key, value FROM settings'),
+        // Restoring a revision brings its image back, so revisions keep their files in use
+        query('SELECT id, table_name, item_id, snapshot, created_at FROM revisions'),
+        ...tables.map(tableName => {
+            const { label, columns } = REFERENCE_COLUMNS[tableName];
+            return query(`SELECT id, ${label} AS label, deleted_at, ${columns.join(', ')} FROM ${tableName}`);
+        })
+    ])
+        .then(([settings, revisions, ...contentRows]) => {
+            const sources = settings.map(row => ({
+                reference: { type: 'setting', key: row.key },
+                text: row.value || ''
+            }));
+            revisions.forEach(row => {
+                let title = null;
+                try {
+                    title = JSON.parse(row.snapshot)[(REFERENCE_COLUMNS[row.table_name] || {}).label] || null;
+                } catch (e) {
+                    // An unreadable snapshot still counts by its raw text
+                }
+                sources.push({
+                    reference: { type: 'revision', table: row.table_name, id: row.item_id, revision: row.id, title, savedAt: row.created_at },
+                    text: row.snapshot
+                });
+            });
+            tables.forEach((tableName, i) => {
+                contentRows[i].forEach(row => sources.push({
+                    reference: { type: 'content', table: tableName, id: row.id, title: row.label, trashed: !!row.deleted_at },
+                    text: REFERENCE_COLUMNS[tableName].columns.map(col => row[col] || '').join('\n')
+                }));
+            });
+            callback(null, sources);
+        })
+        .catch(callback);
+}
+
+function referencesTo(sources, url) {
+    return sources.filter(source => source.text.includes(url)).map(source => source.reference);
+}
+
+function hashData(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Add a stored upload to the library. `file` is multer's file object, its `buffer` holding
+ * the bytes as stored (after any image processing, so size and hash describe the file as
+ * served). Calls back with the row.
+ */
+function recordUpload(file, url, uploader, callback) {
+    const row = {
+        id: uuidv4(),
+        url,
+        original_name: path.basename(file.originalname || path.basename(url)).slice(0, MAX_NAME_LENGTH),
+        mime_type: file.mimetype,
+        size: file.buffer.length,
+        hash: hashData(file.buffer),
+        uploaded_by: uploader
+    };
+    db.run(
+        'INSERT INTO uploads (id, url, original_name, mime_type, size, hash, uploaded_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [row.id, row.url, row.original_name, row.mime_type, row.size, row.hash, row.uploaded_by],
+        (err) => callback(err, row)
+    );
+}
+
+// Delete an upload's file, its image variants and its library record
+function removeUpload(url, callback) {
+    storage.remove(path.basename(url))
+        .then(() => {
+            deleteImageVariants(url);
+            db.run('DELETE FROM uploads WHERE url = ?', [url], callback);
+        })
+        .catch(callback);
+}
+
+// Delete a local upload (only files inside /uploads/) once nothing refers to it any more.
+// Called after a content row stops using the file.
+function releaseUpload(url) {
+    if (!url || !url.startsWith('/uploads/')) return;
+    loadReferenceSources((err, sources) => {
+        if (err) return console.error('Error checking upload references:', err);
+        if (referencesTo(sources, url).length > 0) return;
+        removeUpload(url, (removeErr) => {
+            if (removeErr) console.error('Failed to delete upload:', url, removeErr.message);
+        });
+    });
+}
+
+// Add library records for files uploaded before the media library existed
+async function registerExistingUploads() {
+    const files = [...(await storage.list('')).keys()];
+    const known = await new Promise((resolve, reject) => {
+        db.all('SELECT url FROM uploads', [], (err, rows) => err ? reject(err) : resolve(new Set(rows.map(row => row.url))));
+    });
+    const missing = files.filter(name => !isImageVariant(name) && !known.has(`/uploads/${name}`));
+
+    let registered = 0;
+    for (const name of missing) {
+        const file = { originalname: name, mimetype: EXTENSION_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream', buffer: await storage.get(name) };
+        await new Promise((resolve, reject) => {
+            recordUpload(file, `/uploads/${name}`, null, err => err ? reject(err) : resolve());
+        });
+        registered++;
+    }
+    if (registered > 0) console.log(`Added ${registered} existing upload(s) to the media library`);
+}
+
+// Storage key of a file in a folder ('' for the top level)
+function keyIn(folder, name) {
+    return folder ? `${folder}/${name}` : name;
+}
+
+/**
+ * Compare the stored uploads with everything that refers to it. Resolves to the report
+ * (see the top of this file) plus, under `internal`, what cleanUpUploads needs to act on it.
+ */
+async function scanUploads() {
+    const [sources, variantsByUrl, records, files, quarantinedFiles] = await Promise.all([
+        new Promise((resolve, reject) => loadReferenceSources((err, result) => err ? reject(err) : resolve(result))),
+        new Promise((resolve, reject) => loadImageVariants((err, result) => err ? reject(err) : resolve(result))),
+        new Promise((resolve, reject) => db.all('SELECT * FROM uploads', [], (err, rows) => err ? reject(err) : resolve(rows))),
+        storage.list(''),
+        storage.list(QUARANTINE_FOLDER)
+    ]);
+
+    // File name -> what refers to it
+    const referenced = new Map();
+    sources.forEach(({ reference, text }) => {
+        for (const [, name] of text.matchAll(UPLOAD_URL_PATTERN)) {
+            if (!referenced.has(name)) referenced.set(name, []);
+            referenced.get(name).push(reference);
+        }
+    });
+    const recordsByUrl = new Map(records.map(record => [record.url, record]));
+    const nameOf = (url) => (recordsByUrl.get(url) || {}).original_name || path.basename(url);
+    const variantNames = (url) => (variantsByUrl.get(url) || []).map(variantUrl => path.basename(variantUrl));
+
+    // Variants belong to an original that is still in the same folder
+    const ownedVariants = (fileMap) => new Set([...fileMap.keys()]
+        .filter(name => !isImageVariant(name))
+        .flatMap(name => variantNames(`/uploads/${name}`)));
+    const owned = ownedVariants(files);
+    const quarantineOwned = ownedVariants(quarantinedFiles);
+
+    const orphans = [];
+    files.forEach((stat, name) => {
+        if (referenced.has(name) || owned.has(name)) return;
+        const url = `/uploads/${name}`;
+        orphans.push({ url, name: nameOf(url), size: stat.size, modified: stat.modified.toISOString(), variant: isImageVariant(name) });
+    });
+
+    const quarantined = [];
+    quarantinedFiles.forEach((stat, name) => {
+        if (quarantineOwned.has(name)) return;
+        const url = `/uploads/${name}`;
+        quarantined.push({ url, name: nameOf(url), size: stat.size, quarantinedAt: stat.modified.toISOString(), variant: isImageVariant(name) });
+    });
+
+    const dangling = [];
+    referenced.forEach((references, name) => {
+        if (files.has(name)) return;
+        dangling.push({ url: `/uploads/${name}`, quarantined: quarantinedFiles.has(name), references });
+    });
+
+    const missing = [];
+    const changed = [];
+    for (const record of records.filter(r => !r.quarantined_at)) {
+        const name = path.basename(record.url);
+        if (!files.has(name)) {
+            missing.push({ id: record.id, url: record.url, name: record.original_name });
+        } else if (record.size !== null && record.size !== files.get(name).size) {
+            changed.push({ id: record.id, url: record.url, name: record.original_name });
+        }
+    }
+
+    return {
+        scannedAt: new Date().toISOString(),
+        files: [...files.keys()].filter(name => !owned.has(name)).length,
+        orphans,
+        dangling,
+        missing,
+        changed,
+        quarantined,
+        internal: { variantNames }
+    };
+}
+
+// Move a file and its image variants between the top level and the quarantine. Moving
+// resets their modification time: the quarantine clock (and the orphan grace period after
+// a restore) starts now.
+async function moveUpload(url, fromFolder, toFolder, variantNames) {
+    for (const name of [path.basename(url), ...variantNames(url)]) {
+        try {
+            await storage.move(keyIn(fromFolder, name), keyIn(toFolder, name));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+}
+
+/**
+ * Act on files from a fresh scan: 'quarantine' orphans, 'delete' orphans or quarantined
+ * files, 'restore' quarantined files. URLs that no longer qualify are skipped.
+ * Resolves to { done, skipped }.
+ */
+async function cleanUpUploads(action, urls) {
+    const report = await scanUploads();
+    const { variantNames } = report.internal;
+    const orphanUrls = new Set(report.orphans.map(item => item.url));
+    const quarantinedUrls = new Set(report.quarantined.map(item => item.url));
+    const run = (sql, params) => new Promise((resolve, reject) => db.run(sql, params, err => err ? reject(err) : resolve()));
+
+    const done = [];
+    const skipped = [];
+    for (const url of [...new Set(urls)]) {
+        if (action === 'quarantine' && orphanUrls.has(url)) {
+            await moveUpload(url, '', QUARANTINE_FOLDER, variantNames);
+            await run('UPDATE uploads SET quarantined_at = CURRENT_TIMESTAMP WHERE url = ?', [url]);
+        } else if (action === 'restore' && quarantinedUrls.has(url)) {
+            await moveUpload(url, QUARANTINE_FOLDER, '', variantNames);
+            await run('UPDATE uploads SET quarantined_at = NULL WHERE url = ?', [url]);
+        } else if (action === 'delete' && (orphanUrls.has(url) || quarantinedUrls.has(url))) {
+            const folder = orphanUrls.has(url) ? '' : QUARANTINE_FOLDER;
+            for (const name of [path.basename(url), ...variantNames(url)]) {
+                await storage.remove(keyIn(folder, name));
+            }
+            await run('DELETE FROM images WHERE url = ?', [url]);
+            await run('DELETE FROM uploads WHERE url = ?', [url]);
+        } else {
+            skipped.push(url);
+            continue;
+        }
+        done.push(url);
+    }
+    return { done, skipped };
+}
+
+// Daily job: report, quarantine orphans past the grace period, delete expired quarantine
+async function collectOrphanedUploads() {
+    const report = await scanUploads();
+    const olderThan = (iso, days) => Date.now() - new Date(iso).getTime() > days * 86400000;
+    const toQuarantine = report.orphans.filter(item => olderThan(item.modified, ORPHAN_GRACE_DAYS)).map(item => item.url);
+    const toDelete = report.quarantined.filter(item => olderThan(item.quarantinedAt, QUARANTINE_RETENTION_DAYS)).map(item => item.url);
+
+    const quarantined = toQuarantine.length ? (await cleanUpUploads('quarantine', toQuarantine)).done.length : 0;
+    const deleted = toDelete.length ? (await cleanUpUploads('delete', toDelete)).done.length : 0;
+    if (quarantined || deleted) console.log(`Upload cleanup: quarantined ${quarantined} orphaned file(s), deleted ${deleted} expired from quarantine`);
+    if (report.dangling.length || report.missing.length || report.changed.length) {
+        console.warn(`Upload scan: ${report.dangling.length} dangling link(s), ${report.missing.length} missing file(s), ${report.changed.length} changed file(s)`);
+    }
+}
+
+function withDimensions(sql) {
+    return `SELECT u.*, i.width, i.height FROM uploads u LEFT JOIN images i ON i.url = u.url ${sql}`;
+}
+
+// List the library, newest first: ?q= searches names and alt text, ?type=image|document
+router.get('/', requireAuth, (req, res) => {
+    const conditions = [];
+    const params = [];
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q) {
+        conditions.push("(u.original_name LIKE ? ESCAPE '\\' OR u.alt_text LIKE ? ESCAPE '\\' OR u.url LIKE ? ESCAPE '\\')");
+        const pattern = `%${q.replace(/[\\%_]/g, ch => '\\' + ch)}%`;
+        params.push(pattern, pattern, pattern);
+    }
+    if (req.query.type === 'image') conditions.push("u.mime_type LIKE 'image/%'");
+    else if (req.query.type === 'document') conditions.push("u.mime_type NOT LIKE 'image/%'");
+    const whereClause = `WHERE ${['u.quarantined_at IS NULL', ...conditions].join(' AND ')}`;
+
+    db.all(withDimensions(`${whereClause} ORDER BY u.created_at DESC, u.rowid DESC`), params, (err, rows) => {
+        if (err) { console.error('Error fetching uploads:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        loadReferenceSources((refErr, sources) => {
+            if (refErr) { console.error('Error checking upload references:', refErr); return res.status(500).json({ error: 'Internal server error' }); }
+            res.json(rows.map(row => ({ ...row, references: referencesTo(sources, row.url) })));
+        });
+    });
+});
+
+// Dry run: what the garbage collector would find right now
+router.get('/scan', requireAuth, (req, res) => {
+    scanUploads()
+        .then(({ internal, ...report }) => res.json({ ...report, graceDays: ORPHAN_GRACE_DAYS, quarantineDays: QUARANTINE_RETENTION_DAYS }))
+        .catch(err => {
+            console.error('Error scanning uploads:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+});
+
+// Quarantine, delete or restore files picked from the scan: { action, urls }
+router.post('/scan', requireAuth, (req, res) => {
+    const { action, urls } = req.body;
+    if (!CLEANUP_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${CLEANUP_ACTIONS.join(', ')}` });
+    }
+    if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string')) {
+        return res.status(400).json({ error: 'urls must be a non-empty array of upload URLs' });
+    }
+    cleanUpUploads(action, urls)
+        .then(result => res.json({ success: true, action, ...result }))
+        .catch(err => {
+            console.error('Error cleaning up uploads:', err);
+            res.status(500).json({ error: 'Internal server error' });
+        });
+});
+
+// Uploads refused by the file checks (api/upload-checks.js), newest first
+router.get('/rejections', requireAuth, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    db.all('SELECT * FROM upload_rejections ORDER BY created_at DESC, id DESC LIMIT ?', [limit], (err, rows) => {
+        if (err) { console.error('Error fetching upload rejections:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        res.json(rows);
+    });
+});
+
+// Clear the rejection log
+router.delete('/rejections', requireAuth, (req, res) => {
+    db.run('DELETE FROM upload_rejections', [], function(err) {
+        if (err) { console.error('Error clearing upload rejections:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        res.json({ success: true, changes: this.changes });
+    });
+});
+
+// One file with everything that refers to it
+router.get('/:id', requireAuth, (req, res) => {
+    db.get(withDimensions('WHERE u.id = ?'), [req.params.id], (err, row) => {
+        if (err) { console.error('Error fetching upload:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!row) return res.status(404).json({ error: 'File not found' });
+        loadReferenceSources((refErr, sources) => {
+            if (refErr) { console.error('Error checking upload references:', refErr); return res.status(500).json({ error: 'Internal server error' }); }
+            res.json({ ...row, references: referencesTo(sources, row.url) });
+        });
+    });
+});
+
+// Update a file's alt text: { alt_text }
+router.patch('/:id', requireAuth, (req, res) => {
+    const { alt_text: altText } = req.body;
+    if (altText !== null && typeof altText !== 'string') {
+        return res.status(400).json({ error: 'alt_text must be a string' });
+    }
+    if (altText && altText.length > MAX_ALT_LENGTH) {
+        return res.status(400).json({ error: `alt_text must be less than ${MAX_ALT_LENGTH} characters` });
+    }
+    db.run('UPDATE uploads SET alt_text = ? WHERE id = ?', [altText ? altText.trim() : null, req.params.id], function(err) {
+        if (err) { console.error('Error updating upload:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (this.changes === 0) return res.status(404).json({ error: 'File not found' });
+        res.json({ success: true });
+    });
+});
+
+// Delete a file — refused with 409 (and the references) while anything still uses it
+router.delete('/:id', requireAuth, (req, res) => {
+    db.get('SELECT url FROM uploads WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) { console.error('Error fetching upload:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!row) return res.status(404).json({ error: 'File not found' });
+        loadReferenceSources((refErr, sources) => {
+            if (refErr) { console.error('Error checking upload references:', refErr); return res.status(500).json({ error: 'Internal server error' }); }
+            const references = referencesTo(sources, row.url);
+            if (references.length > 0) {
+                return res.status(409).json({ error: 'This file is still in use', references });
+            }
+            removeUpload(row.url, (removeErr) => {
+                if (removeErr) { console.error('Error deleting upload:', removeErr); return res.status(500).json({ error: 'Internal server error' }); }
+                res.json({ success: true });
+            });
+        });
+    });
+});
+
+module.exports = router;
+module.exports.recordUpload = recordUpload;
+module.exports.releaseUpload = releaseUpload;
+module.exports.registerExistingUploads = registerExistingUploads;
+module.exports.collectOrphanedUploads = collectOrphanedUploads;
@@ -0,0 +1,325 @@
+const escapeHtml = require('escape-html');
+const { postContent, markdownToText, truncateText } = require('./markdown');
+const { absoluteUrl, toDate } = require('./site-utils');
+
+// Server-side rendering of public pages so crawlers and link unfurlers (LinkedIn, Slack,
+// WhatsApp) see real content. The page scripts still fetch the API and re-render on load.
+
+const SITE_AUTHOR = 'Bishwash Acharya';
+const DEFAULT_IMAGE = '/assets/profile.png';
+const DESCRIPTION_LENGTH = 160;
+
+// Set the content attribute of the <meta> tag with the given id
+function setMetaById(html, id, value) {
+    return html.replace(
+        new RegExp(`(<meta[^>]*?content=")[^"]*("[^>]*\\bid="${id}")`),
+        (match, before, after) => `${before}${escapeHtml(value)}${after}`
+    );
+}
+
+// JSON inside <script> must not be able to close the tag
+function jsonLd(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+function lucideIcon(name) {
+    return `<i data-lucide="${name}" width="16" height="16"></i>`;
+}
+
+// Table of contents — same markup as renderToc() in blog-detail.html
+function renderToc(toc) {
+    if (toc.length < 2) return '';
+    const items = toc.map(entry =>
+        `<li class="toc-level-${entry.level}"><a href="#${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a></li>`
+    ).join('');
+    return `<nav class="blog-toc" aria-label="Table of contents"><p class="blog-toc-title">On this page</p><ol>${items}</ol></nav>`;
+}
+
+// Same markup blog-detail.html builds client-side, minus the share bar and related posts
+function renderArticle(post, tags, { html: bodyHtml, toc }) {
+    const publishDate = toDate(post.publish_at || post.created_at).toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+    });
+    const metaItems = [
+        `<div class="blog-detail-meta-item">${lucideIcon('calendar')}<span>${escapeHtml(publishDate)}</span></div>`,
+        post.author ? `<div class="blog-detail-meta-item">${lucideIcon('user')}<span>${escapeHtml(post.author)}</span></div>` : '',
+        `<div class="blog-detail-meta-item">${lucideIcon('clock')}<span>${escapeHtml(String(post.read_time || 5))} min read</span></div>`
+    ].join('');
+    const tagsHtml = tags.length
+        ? `<div class="blog-detail-tags">${tags.map(t => `<span class="blog-detail-tag">${escapeHtml(t)}</span>`).join('')}</div>`
+        : '';
+    const imageHtml = post.image_url
+        ? `<div class="blog-detail-image"><img src="${escapeHtml(post.image_url)}" alt="${escapeHtml(post.title)}"></div>`
+        : '';
+
+    return `<div class="blog-detail-header"><h1 class="blog-detail-title">${escapeHtml(post.title)}</h1>`
+        + `<div class="blog-detail-meta">${metaItems}</div>${tagsHtml}</div>`
+        + imageHtml
+        + renderToc(toc)
+        + `<div class="blog-detail-content">${bodyHtml}</div>`
+        + `<div class="blog-detail-footer"><a href="/blogs" class="blog-detail-footer-btn">${lucideIcon('arrow-left')}Back to posts</a></div>`;
+}
+
+/**
+ * Fill blog-detail.html with a post's title, meta/Open Graph/Twitter tags, canonical URL,
+ * BlogPosting JSON-LD and the rendered article. `baseUrl` is the site origin.
+ */
+function renderBlogPost(html, post, baseUrl) {
+    let tags = [];
+    try { tags = JSON.parse(post.tags || '[]'); } catch (e) { /* render without tags */ }
+    if (!Array.isArray(tags)) tags = [];
+
+    const content = postContent(post);
+    const title = `${post.title} - ${SITE_AUTHOR}`;
+    const description = post.excerpt || truncateText(markdownToText(post.content), DESCRIPTION_LENGTH);
+    const url = `${baseUrl}/blog/${encodeURIComponent(post.slug || post.id)}`;
+    const image = absoluteUrl(baseUrl, post.image_url || DEFAULT_IMAGE);
+    const published = toDate(post.publish_at || post.created_at).toISOString();
+
+    const structuredData = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description,
+        image,
+        url,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+        datePublished: published,
+        author: { '@type': 'Person', name: post.author || SITE_AUTHOR },
+        publisher: { '@type': 'Person', name: SITE_AUTHOR },
+        ...(tags.length && { keywords: tags.join(', ') })
+    };
+
+    const headTags = [
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        `<meta property="article:published_time" content="${published}">`,
+        ...tags.map(t => `<meta property="article:tag" content="${escapeHtml(t)}">`),
+        `<script type="application/ld+json">\n${jsonLd(structuredData)}\n    </script>`
+    ].join('\n    ');
+
+    html = html.replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)}</title>`);
+    html = html.replace(/(<meta name="description" content=")[^"]*(")/, (match, before, after) => `${before}${escapeHtml(description)}${after}`);
+    html = setMetaById(html, 'og-title', title);
+    html = setMetaById(html, 'og-description', description);
+    html = setMetaById(html, 'og-url', url);
+    html = setMetaById(html, 'og-image', image);
+    html = setMetaById(html, 'tw-title', title);
+    html = setMetaById(html, 'tw-description', description);
+    html = setMetaById(html, 'tw-image', image);
+    html = html.replace('</head>', () => `    ${headTags}\n</head>`);
+    html = html.replace(
+        /(<span class="current" id="breadcrumb-title">)[^<]*(<\/span>)/,
+        (match, before, after) => `${before}${escapeHtml(post.title)}${after}`
+    );
+    html = html.replace(
+        /<div id="blog-content">\s*<div class="blog-loading">[^<]*<\/div>\s*<\/div>/,
+        () => `<div id="blog-content" data-prerendered>${renderArticle(post, tags, content)}</div>`
+    );
+    return html;
+}
+
+// ── Homepage ────────────────────────────────────────────────────────────────
+// The sections main.js builds from /api/content/bootstrap, rendered into index.html with
+// the same markup. Filled elements get data-prerendered so the client enhances them in
+// place instead of rebuilding them.
+
+const PLACEHOLDER_IMAGE = '/assets/projects/placeholder.jpg';
+const HOMEPAGE_CARDS = 3; // besides the featured one
+const MAX_CARD_TAGS = 5;
+// Rendered image widths for the `sizes` attribute — as in js/main.js
+const CARD_IMAGE_SIZES = '(max-width: 768px) 100vw, 400px';
+const FEATURED_IMAGE_SIZES = '(max-width: 1024px) 100vw, 720px';
+
+/**
+ * Replace the contents of the element opened by `openTag` (matched exactly), following
+ * nested tags of the same name to find where it closes. `after` goes right after it.
+ */
+function fillElement(html, openTag, inner, after = '') {
+    const start = html.indexOf(openTag);
+    if (start === -1) return html;
+    const tag = openTag.match(/^<(\w+)/)[1];
+    const pattern = new RegExp(`<${tag}\\b|</${tag}>`, 'g');
+    pattern.lastIndex = start + openTag.length;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html))) {
+        depth += match[0].startsWith('</') ? -1 : 1;
+        if (depth === 0) {
+            const end = match.index + match[0].length;
+            const opened = openTag.replace(/>$/, ' data-prerendered>');
+            return html.slice(0, start) + opened + inner + html.slice(match.index, end) + after + html.slice(end);
+        }
+    }
+    return html;
+}
+
+// fillElement for the element with the given id, whatever its other attributes
+function fillById(html, id, inner) {
+    const idAt = html.indexOf(` id="${id}"`);
+    if (idAt === -1) return html;
+    const start = html.lastIndexOf('<', idAt);
+    return fillElement(html, html.slice(start, html.indexOf('>', idAt) + 1), inner);
+}
+
+// Card image; uploads with responsive variants (api/images.js) become a <picture>
+function cardImage(url, alt, imageSet, sizes) {
+    if (!url) return '';
+    const dimensions = imageSet ? ` width="${imageSet.width}" height="${imageSet.height}"` : '';
+    const img = `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${dimensions} loading="lazy" decoding="async" onerror="this.onerror=null;this.src='${PLACEHOLDER_IMAGE}'">`;
+    const sources = ['avif', 'webp']
+        .filter(format => imageSet && imageSet.srcset[format])
+        .map(format => `<source type="image/${format}" srcset="${escapeHtml(imageSet.srcset[format])}" sizes="${sizes}">`)
+        .join('');
+    return sources ? `<picture>${sources}${img}</picture>` : img;
+}
+
+function techTags(tags, max = Infinity) {
+    const list = Array.isArray(tags) ? tags : [];
+    const more = list.length - max;
+    return list.slice(0, max).map(t => `<span class="tech-tag">${escapeHtml(t)}</span>`).join('')
+        + (more > 0 ? `<span class="tech-tag" style="opacity: 0.7;">+${more} more</span>` : '');
+}
+
+// 1 featured item (if any) followed by up to three others — as on the client
+function homepageSelection(items, featured = item => item.featured) {
+    const first = items.find(featured);
+    return [...(first ? [first] : []), ...items.filter(item => !featured(item)).slice(0, HOMEPAGE_CARDS)];
+}
+
+function viewAllButton(href, label) {
+    return `<div style="text-align: center; margin-top: 40px;"><a href="${href}" class="btn btn-primary" style="display: inline-block;">${label}</a></div>`;
+}
+
+function renderTimeline(type, items) {
+    const isExperience = type === 'experience';
+    return '<div class="timeline-line"></div>' + items.map((item, index) => {
+        const badge = (item.badge || (isExperience ? 'Work' : 'Education')).trim();
+        return `<div class="timeline-item${index % 2 === 1 ? ' right' : ''}"><div class="timeline-marker"></div><div class="timeline-card">`
+            + `<span class="card-badge ${isExperience ? 'work' : 'education'}">${escapeHtml(badge)}</span>`
+            + `<div class="card-header"><h3>${escapeHtml(isExperience ? item.company : item.institution)}</h3>`
+            + `<span class="position">${escapeHtml(isExperience ? item.role : item.degree)}</span>`
+            + `<span class="date">📅 ${escapeHtml(item.period)}</span></div>`
+            + `<div class="card-meta"><span class="location">📍 ${escapeHtml(item.location || '')}</span></div>`
+            + `<p class="card-description">${escapeHtml(item.description || '')}</p>`
+            + '</div></div>';
+    }).join('');
+}
+
+function projectLinks(project) {
+    const link = (href, label) => `<a href="${escapeHtml(href)}" class="project-link" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    return `<div class="project-links">${project.project_url ? link(project.project_url, 'Live Demo') : ''}${project.github_url ? link(project.github_url, 'GitHub') : ''}</div>`;
+}
+
+function renderProjectCards(projects) {
+    return homepageSelection(projects).map(project => {
+        const body = `<h3>${escapeHtml(project.title)}</h3><p>${escapeHtml(project.description || '')}</p>`
+            + `<div class="project-tech">${techTags(project.tags)}</div>${projectLinks(project)}`;
+        const category = escapeHtml((project.tags || []).join(' '));
+        if (project.featured) {
+            return `<article class="project-card featured-card" data-category="${category}">`
+                + `<div class="featured-image" style="position: relative;">${cardImage(project.image_url, project.title, project.image_set, FEATURED_IMAGE_SIZES)}`
+                + '<div class="featured-badge" style="position: absolute; top: 16px; left: 16px; z-index: 10; width: fit-content; display: inline-block;">Featured</div></div>'
+                + `<div class="featured-content">${body}</div></article>`;
+        }
+        return `<article class="project-card" data-category="${category}">`
+            + `<div class="project-image">${cardImage(project.image_url, project.title, project.image_set, CARD_IMAGE_SIZES)}</div>`
+            + `<div class="project-content">${body}</div></article>`;
+    }).join('');
+}
+
+function renderBlogCards(posts) {
+    return homepageSelection(posts).map((post, index) => {
+        const date = toDate(post.publish_at || post.created_at).toLocaleDateString('en-US', {
+            year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+        });
+        const href = `/blog/${encodeURIComponent(post.slug || post.id)}`;
+        const excerpt = (length) => post.excerpt || (post.preview ? `${post.preview.substring(0, length)}...` : '');
+        const readTime = `${escapeHtml(String(post.read_time || 5))} min read`;
+        if (index === 0 && post.featured) {
+            return `<article class="blog-card featured-post" style="cursor: pointer;" data-href="${href}">`
+                + `<div class="featured-image" style="position: relative;">${cardImage(post.image_url, post.title, post.image_set, FEATURED_IMAGE_SIZES)}`
+                + '<div class="featured-badge" style="position: absolute; top: 16px; left: 16px; z-index: 10;">Featured</div></div>'
+                + `<div class="featured-content"><h3>${escapeHtml(post.title)}</h3><p>${escapeHtml(excerpt(200))}</p>`
+                + `<div class="project-tech">${techTags(post.tags, MAX_CARD_TAGS)}</div>`
+                + `<div style="display: flex; gap: 20px; font-size: 14px; color: var(--text-secondary);"><span>${date}</span><span>${readTime}</span></div>`
+                + '</div></article>';
+        }
+        return `<article class="blog-card" style="cursor: pointer;" data-href="${href}">`
+            + `<div class="blog-image">${cardImage(post.image_url, post.title, post.image_set, CARD_IMAGE_SIZES)}</div>`
+            + `<div class="blog-content"><h3>${escapeHtml(post.title)}</h3><p>${escapeHtml(excerpt(150))}</p>`
+            + `<div class="project-tech" style="margin-bottom: 12px;">${techTags(post.tags, MAX_CARD_TAGS)}</div>`
+            + `<div class="post-meta"><span class="post-date">${date}</span><span class="read-time">${readTime}</span></div>`
+            + '</div></article>';
+    }).join('');
+}
+
+function renderSkillCategories(skills) {
+    return skills.map(skill =>
+        `<div class="skill-category"><h4>${escapeHtml(skill.category)}</h4><div class="skill-tags">`
+        + (Array.isArray(skill.skills) ? skill.skills : []).map(s => `<span class="skill-tag">${escapeHtml(s)}</span>`).join('')
+        + '</div></div>'
+    ).join('');
+}
+
+// Hero and about text from the settings table (same keys applySettings() uses)
+function applyHomepageSettings(html, settings) {
+    if (settings.hero_name) {
+        const firstName = settings.hero_name.trim();
+        // Non-Latin names stay whole, like the client animation does
+        const letters = /[^\x00-\x7F]/.test(firstName) ? [firstName] : Array.from(firstName);
+        const templateLastName = (html.match(/id="hero-name-lastname" data-lastname="([^"]*)"/) || [])[1];
+        const lastName = settings.hero_lastname || templateLastName || '';
+        html = fillElement(html, '<h1 class="hero-name">',
+            letters.map(char => `<span class="name-letter">${escapeHtml(char)}</span>`).join('')
+            + `<span id="hero-name-lastname" data-lastname="${escapeHtml(lastName)}">${lastName ? `&nbsp;${escapeHtml(lastName)}` : ''}</span>`);
+    }
+    if (settings.hero_tagline) {
+        html = fillElement(html, '<p class="hero-tagline">', escapeHtml(settings.hero_tagline));
+    }
+    [
+        ['hero-years-number', 'hero_years_experience'], ['hero-years-label', 'hero_years_label'],
+        ['hero-education-value', 'hero_education_value'], ['hero-education-label', 'hero_education_label'],
+        ['hero-location-label', 'hero_location'],
+        ['about-section-title', 'about_title'],
+        ['about-paragraph-1', 'about_paragraph_1'], ['about-paragraph-2', 'about_paragraph_2'], ['about-paragraph-3', 'about_paragraph_3'],
+        ['about-edu-title', 'about_edu_title'], ['about-edu-desc', 'about_edu_desc'], ['about-edu-sub', 'about_edu_sub'],
+        ['about-exp-title', 'about_exp_title'], ['about-exp-desc', 'about_exp_desc'], ['about-exp-sub', 'about_exp_sub'],
+        ['about-current-title', 'about_current_title'], ['about-current-desc', 'about_current_desc'], ['about-current-sub', 'about_current_sub']
+    ].forEach(([id, key]) => {
+        if (settings[key]) html = fillById(html, id, escapeHtml(settings[key]));
+    });
+    if (settings.about_image) {
+        html = html.replace(/(<img src=")[^"]*("[^>]*class="profile-img")/, (match, before, after) => `${before}${escapeHtml(settings.about_image)}${after}`);
+    }
+    if (settings.hero_cv_url) {
+        html = html.replace('<a href="#" id="hero-cv-btn"', '<a href="/download/cv" id="hero-cv-btn"');
+    }
+    return html;
+}
+
+/**
+ * Fill index.html with the homepage payload from loadHomepageContent(): hero/about text,
+ * experience and education timelines, skills, and the project and blog cards.
+ * Sections without content keep the template's built-in markup.
+ */
+function renderHomepage(html, content) {
+    html = applyHomepageSettings(html, content.settings || {});
+    if (content.experience.length) {
+        html = fillElement(html, '<div class="timeline-container experience-timeline">', renderTimeline('experience', content.experience));
+    }
+    if (content.education.length) {
+        html = fillElement(html, '<div class="timeline-container education-timeline">', renderTimeline('education', content.education));
+    }
+    if (content.skills.length) {
+        html = fillElement(html, '<div class="skills-grid">', renderSkillCategories(content.skills));
+    }
+    if (content.projects.length) {
+        html = fillElement(html, '<div class="projects-grid">', renderProjectCards(content.projects), viewAllButton('/projects-list', 'View All Projects'));
+    }
+    if (content.blog.length) {
+        html = fillElement(html, '<div class="blog-grid">', renderBlogCards(content.blog), viewAllButton('/blogs', 'View All Blog Posts'));
+    }
+    return html;
+}
+
+module.exports = { renderBlogPost, renderHomepage };
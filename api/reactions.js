@@ -0,0 +1,134 @@
+const express = require('express');
+const { db } = require('../database/db');
+const { BLOG_LIVE_SQL, isPubliclyVisible } = require('./visibility');
+const { getDeviceFingerprint } = require('./submission-checks');
+const router = express.Router();
+
+// Emoji reactions on blog posts and projects. Each visitor (DeviceProtection fingerprint)
+// can leave each reaction once per item; reacting again takes it back. Public:
+// GET /api/reactions/:section?ids=a,b and POST /api/reactions/:section/:id { reaction }.
+
+const REACTION_TABLES = ['blog', 'projects'];
+const REACTIONS = [
+    { key: 'helpful', emoji: '👍', label: 'Helpful' },
+    { key: 'love', emoji: '❤️', label: 'Love it' },
+    { key: 'insightful', emoji: '💡', label: 'Insightful' },
+    { key: 'fire', emoji: '🔥', label: 'Impressive' }
+];
+const REACTION_KEYS = REACTIONS.map(r => r.key);
+const MAX_IDS = 100;
+
+// Items anonymous visitors may react to (admins may also react to drafts and hidden items)
+const VISIBLE_SQL = {
+    blog: `deleted_at IS NULL AND hidden = 0 AND ${BLOG_LIVE_SQL}`,
+    projects: 'deleted_at IS NULL AND hidden = 0'
+};
+
+const validateSection = (req, res, next) => {
+    if (!REACTION_TABLES.includes(req.params.section)) {
+        return res.status(400).json({ error: 'Invalid section' });
+    }
+    next();
+};
+
+function emptyCounts() {
+    return Object.fromEntries(REACTION_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Reaction totals for items of a table: calls back with { [id]: { counts, mine } },
+ * where `mine` lists the reactions left by `fingerprint`. `ids` null means every item.
+ */
+function reactionsFor(tableName, ids, fingerprint, callback) {
+    const idFilter = ids ? `AND item_id IN (${ids.map(() => '?').join(',')})` : '';
+    db.all(
+        `SELECT item_id, reaction, COUNT(*) AS count, MAX(fingerprint = ?) AS mine
+         FROM reactions WHERE table_name = ? ${idFilter}
+         GROUP BY item_id, reaction`,
+        [fingerprint, tableName, ...(ids || [])],
+        (err, rows) => {
+            if (err) return callback(err);
+            const items = {};
+            (ids || []).forEach(id => { items[id] = { counts: emptyCounts(), mine: [] }; });
+            rows.forEach(row => {
+                if (!REACTION_KEYS.includes(row.reaction)) return;
+                const item = items[row.item_id] || (items[row.item_id] = { counts: emptyCounts(), mine: [] });
+                item.counts[row.reaction] = row.count;
+                if (row.mine) item.mine.push(row.reaction);
+            });
+            callback(null, items);
+        }
+    );
+}
+
+// Reaction totals (and the visitor's own reactions) for ?ids=a,b — or, for admins,
+// every item of the section when ids is left out
+router.get('/:section', validateSection, (req, res) => {
+    const { section } = req.params;
+    const ids = typeof req.query.ids === 'string'
+        ? [...new Set(req.query.ids.split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_IDS)
+        : null;
+    if (!ids && !req.session.isAdmin) {
+        return res.status(400).json({ error: 'ids is required' });
+    }
+
+    const respond = (visibleIds) => {
+        reactionsFor(section, visibleIds, getDeviceFingerprint(req), (err, items) => {
+            if (err) { console.error('Error fetching reactions:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            res.json({ available: REACTIONS, items });
+        });
+    };
+
+    if (!ids || ids.length === 0 || req.session.isAdmin) return respond(ids);
+
+    // Don't reveal anything about items visitors can't see
+    db.all(
+        `SELECT id FROM ${section} WHERE id IN (${ids.map(() => '?').join(',')}) AND ${VISIBLE_SQL[section]}`,
+        ids,
+        (err, rows) => {
+            if (err) { console.error('Error fetching reactions:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            respond(rows.map(row => row.id));
+        }
+    );
+});
+
+// Toggle one of the visitor's reactions on an item: { reaction }
+router.post('/:section/:id', validateSection, (req, res) => {
+    const { section, id } = req.params;
+    const { reaction } = req.body;
+    if (!REACTION_KEYS.includes(reaction)) {
+        return res.status(400).json({ error: `reaction must be one of: ${REACTION_KEYS.join(', ')}` });
+    }
+
+    db.get(`SELECT * FROM ${section} WHERE id = ? AND deleted_at IS NULL`, [id], (err, item) => {
+        if (err) { console.error('Error fetching item:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!item || (!req.session.isAdmin && !isPubliclyVisible(section, item))) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const fingerprint = getDeviceFingerprint(req);
+        const key = [section, id, reaction, fingerprint];
+        db.run(
+            'DELETE FROM reactions WHERE table_name = ? AND item_id = ? AND reaction = ? AND fingerprint = ?',
+            key,
+            function(delErr) {
+                if (delErr) { console.error('Error removing reaction:', delErr); return res.status(500).json({ error: 'Internal server error' }); }
+                const removed = this.changes > 0;
+                const save = (cb) => removed
+                    ? cb(null)
+                    : db.run('INSERT OR IGNORE INTO reactions (table_name, item_id, reaction, fingerprint) VALUES (?, ?, ?, ?)', key, cb);
+
+                save((insErr) => {
+                    if (insErr) { console.error('Error saving reaction:', insErr); return res.status(500).json({ error: 'Internal server error' }); }
+                    reactionsFor(section, [id], fingerprint, (countErr, items) => {
+                        if (countErr) { console.error('Error fetching reactions:', countErr); return res.status(500).json({ error: 'Internal server error' }); }
+                        res.json({ reacted: !removed, ...items[id] });
+                    });
+                });
+            }
+        );
+    });
+});
+
+module.exports = router;
+module.exports.REACTION_TABLES = REACTION_TABLES;
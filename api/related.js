@@ -0,0 +1,103 @@
+const { db } = require('../database/db');
+const { BLOG_LIVE_SQL } = require('./visibility');
+const { toDate } = require('./site-utils');
+
+// "Read next" for a blog post: related posts ranked by shared tags, and the
+// previous/next posts in publish order. Only live public posts are ever suggested.
+
+const RELATED_LIMIT = 3;
+// A post this many days older than the newest one gets half the recency bonus
+const RECENCY_HALF_LIFE_DAYS = 180;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+    'its', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'with', 'you', 'your'
+]);
+
+function parseTags(tags) {
+    try {
+        const parsed = JSON.parse(tags || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Distinct significant words of a post's title and excerpt
+function termsOf(post) {
+    const words = `${post.title || ''} ${post.excerpt || ''}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return new Set(words.filter(w => w.length > 1 && !STOP_WORDS.has(w)));
+}
+
+// Jaccard overlap of two term sets, 0..1
+function similarity(a, b) {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach(term => { if (b.has(term)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+// Public fields of a suggested post
+function summarize(post) {
+    return {
+        id: post.id,
+        title: post.title,
+        slug: post.slug,
+        excerpt: post.excerpt,
+        image_url: post.image_url,
+        author: post.author,
+        read_time: post.read_time,
+        tags: parseTags(post.tags),
+        published_at: toDate(post.published_at).toISOString()
+    };
+}
+
+/**
+ * Related posts and neighbours for `post` (a blog row):
+ * calls back with { related: [...], previous, next }.
+ * Related posts are ranked by tags in common (shared_tags); ties — including posts with
+ * none in common, which fill any remaining slots — are broken by title/excerpt similarity
+ * plus a bonus for recent posts.
+ */
+function findRelatedPosts(post, callback) {
+    db.all(
+        `SELECT id, title, slug, excerpt, image_url, author, read_time, tags, COALESCE(publish_at, created_at) AS published_at
+         FROM blog WHERE deleted_at IS NULL AND hidden = 0 AND ${BLOG_LIVE_SQL}`,
+        [],
+        (err, rows) => {
+            if (err) return callback(err);
+            const time = (row) => toDate(row.published_at).getTime();
+
+            // publish_at and created_at are stored in different formats, so order in JS
+            const ordered = rows.slice().sort((a, b) => time(a) - time(b) || String(a.id).localeCompare(String(b.id)));
+            const index = ordered.findIndex(row => row.id === post.id);
+            // A draft or hidden post (admin preview) slots in by its own date
+            const postTime = toDate(post.publish_at || post.created_at).getTime();
+            const previous = index >= 0 ? ordered[index - 1] : ordered.filter(row => time(row) <= postTime).pop();
+            const next = index >= 0 ? ordered[index + 1] : ordered.find(row => time(row) > postTime);
+
+            const tags = new Set(parseTags(post.tags).map(t => t.toLowerCase()));
+            const terms = termsOf(post);
+            const newest = Math.max(...ordered.map(time));
+            const related = rows
+                .filter(row => row.id !== post.id)
+                .map(row => {
+                    const shared = parseTags(row.tags).filter(t => tags.has(t.toLowerCase())).length;
+                    const ageDays = (newest - time(row)) / 86400000;
+                    const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+                    return { row, shared, tiebreak: similarity(terms, termsOf(row)) + recency / 2 };
+                })
+                .sort((a, b) => b.shared - a.shared || b.tiebreak - a.tiebreak)
+                .slice(0, RELATED_LIMIT)
+                .map(entry => ({ ...summarize(entry.row), shared_tags: entry.shared }));
+
+            callback(null, {
+                related,
+                previous: previous ? summarize(previous) : null,
+                next: next ? summarize(next) : null
+            });
+        }
+    );
+}
+
+module.exports = { findRelatedPosts };
@@ -0,0 +1,176 @@
+const express = require('express');
+const escapeHtml = require('escape-html');
+const { db } = require('../database/db');
+const { BLOG_LIVE_SQL } = require('./visibility');
+const { markdownToText } = require('./markdown');
+const router = express.Router();
+
+// Tables covered by the search index and how each row maps onto the index columns
+const SOURCES = {
+    blog: {
+        select: 'SELECT id, title, excerpt, excerpt_auto, content, tags FROM blog',
+        toDocument: (row) => ({
+            title: row.title,
+            // A generated excerpt is the start of the content — indexing it too would repeat it
+            body: [row.excerpt_auto ? null : row.excerpt, markdownToText(row.content)].filter(Boolean).join('\n'),
+            tags: parseTags(row.tags).join(' ')
+        }),
+        // Same visibility rules as the public list endpoints
+        visible: `SELECT id FROM blog WHERE hidden = 0 AND ${BLOG_LIVE_SQL}`,
+        url: (row) => `/blog/${encodeURIComponent(row.slug || row.item_id)}`
+    },
+    projects: {
+        select: 'SELECT id, title, description, tags FROM projects',
+        toDocument: (row) => ({
+            title: row.title,
+            body: row.description || '',
+            tags: parseTags(row.tags).join(' ')
+        }),
+        visible: 'SELECT id FROM projects WHERE hidden = 0',
+        url: () => '/projects-list'
+    },
+    experience: {
+        select: 'SELECT id, company, role, location, description FROM experience',
+        toDocument: (row) => ({
+            title: `${row.role} at ${row.company}`,
+            body: row.description || '',
+            tags: row.location || ''
+        }),
+        visible: 'SELECT id FROM experience WHERE hidden = 0',
+        url: () => '/#experience'
+    }
+};
+
+// Highlight markers — control characters that never appear in stored content,
+// swapped for <mark> tags only after the text has been HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const MAX_RESULTS = 20;
+
+function parseTags(tags) {
+    if (Array.isArray(tags)) return tags;
+    try {
+        const parsed = JSON.parse(tags || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Turn free text into a safe FTS5 query: every word quoted, last word prefix-matched
+function toMatchQuery(q) {
+    const terms = String(q).match(/[\p{L}\p{N}]+/gu) || [];
+    if (terms.length === 0) return null;
+    return terms
+        .slice(0, 10)
+        .map((term, i, all) => `"${term}"` + (i === all.length - 1 ? '*' : ''))
+        .join(' ');
+}
+
+function highlightToHtml(text) {
+    return escapeHtml(text || '')
+        .split(MARK_START).join('<mark>')
+        .split(MARK_END).join('</mark>');
+}
+
+// Re-index a single row. Called after every create/update/delete in api/content.js;
+// a missing row (deleted) simply leaves nothing behind in the index.
+function syncSearchIndex(tableName, id) {
+    const source = SOURCES[tableName];
+    if (!source) return;
+    db.run('DELETE FROM search_index WHERE source = ? AND item_id = ?', [tableName, id], (delErr) => {
+        if (delErr) return console.error('Search index delete error:', delErr);
+        // Trashed rows drop out of the index until restored
+        db.get(`${source.select} WHERE id = ? AND deleted_at IS NULL`, [id], (err, row) => {
+            if (err) return console.error('Search index fetch error:', err);
+            if (!row) return;
+            const doc = source.toDocument(row);
+            db.run(
+                'INSERT INTO search_index (source, item_id, title, body, tags) VALUES (?, ?, ?, ?, ?)',
+                [tableName, id, doc.title, doc.body, doc.tags],
+                (insErr) => { if (insErr) console.error('Search index insert error:', insErr); }
+            );
+        });
+    });
+}
+
+// Rebuild the whole index from the content tables — run once at startup
+function rebuildSearchIndex() {
+    const all = (sql) => new Promise((resolve, reject) => {
+        db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows));
+    });
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+
+    return (async () => {
+        await run('DELETE FROM search_index');
+        let count = 0;
+        for (const [tableName, source] of Object.entries(SOURCES)) {
+            const rows = await all(`${source.select} WHERE deleted_at IS NULL`);
+            for (const row of rows) {
+                const doc = source.toDocument(row);
+                await run(
+                    'INSERT INTO search_index (source, item_id, title, body, tags) VALUES (?, ?, ?, ?, ?)',
+                    [tableName, row.id, doc.title, doc.body, doc.tags]
+                );
+                count++;
+            }
+        }
+        console.log(`Search index rebuilt (${count} documents)`);
+    })();
+}
+
+// Site-wide search (public) — GET /api/search?q=...&type=blog|projects|experience
+router.get('/', (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) return res.json({ query: '', results: [] });
+    if (q.length > 200) return res.status(400).json({ error: 'Search query is too long' });
+
+    const match = toMatchQuery(q);
+    if (!match) return res.json({ query: q, results: [] });
+
+    const types = req.query.type
+        ? String(req.query.type).split(',').filter(t => SOURCES[t])
+        : Object.keys(SOURCES);
+    if (types.length === 0) return res.status(400).json({ error: 'Unknown search type' });
+
+    // Admins also find hidden and draft items, like the list endpoints
+    const visibility = types.map(t => req.session.isAdmin
+        ? `source = '${t}'`
+        : `(source = '${t}' AND item_id IN (${SOURCES[t].visible}))`
+    ).join(' OR ');
+
+    // bm25 column weights: source, item_id, title, body, tags
+    const query = `
+        SELECT source, item_id,
+               CASE source WHEN 'blog' THEN (SELECT slug FROM blog WHERE blog.id = search_index.item_id) END AS slug,
+               highlight(search_index, 2, ?, ?) AS title,
+               snippet(search_index, 3, ?, ?, '…', 24) AS snippet,
+               bm25(search_index, 0, 0, 10.0, 1.0, 4.0) AS score
+        FROM search_index
+        WHERE search_index MATCH ? AND (${visibility})
+        ORDER BY score
+        LIMIT ${MAX_RESULTS}`;
+
+    db.all(query, [MARK_START, MARK_END, MARK_START, MARK_END, match], (err, rows) => {
+        if (err) {
+            console.error('Search error:', err);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        res.json({
+            query: q,
+            results: rows.map(row => ({
+                type: row.source,
+                id: row.item_id,
+                title: highlightToHtml(row.title),
+                snippet: highlightToHtml(row.snippet),
+                url: SOURCES[row.source].url(row)
+            }))
+        });
+    });
+});
+
+module.exports = router;
+module.exports.syncSearchIndex = syncSearchIndex;
+module.exports.rebuildSearchIndex = rebuildSearchIndex;
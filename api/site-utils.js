@@ -0,0 +1,19 @@
+// Helpers for building absolute URLs and dates in server-rendered output (feeds, pre-rendered pages)
+
+// Public origin of the site as seen by the requester
+function siteUrl(req) {
+    const proto = process.env.NODE_ENV === 'production' ? 'https' : req.protocol;
+    return `${proto}://${req.get('host')}`;
+}
+
+function absoluteUrl(base, url) {
+    if (!url) return null;
+    return /^https?:\/\//.test(url) ? url : `${base}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+// created_at is SQLite's "YYYY-MM-DD HH:MM:SS" in UTC; publish_at is already ISO
+function toDate(value) {
+    return new Date(/^\d{4}-\d{2}-\d{2} /.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+}
+
+module.exports = { siteUrl, absoluteUrl, toDate };
@@ -0,0 +1,38 @@
+// Tables whose rows are addressed by a human-readable slug
+const SLUG_TABLES = ['blog', 'projects'];
+
+// Slugs that would be shadowed by fixed API routes (/api/content/blog/featured etc.)
+const RESERVED_SLUGS = ['featured', 'categories', 'category'];
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn a title into a URL slug: lowercase, accents stripped, anything
+ * that isn't a letter or digit collapsed into single dashes.
+ * Returns an empty string when nothing usable is left.
+ */
+function slugify(text) {
+    if (!text) return '';
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Pick the first free variant of `base` (base, base-2, base-3, ...) given the
+ * slugs already in use.
+ */
+function nextFreeSlug(base, taken) {
+    const used = new Set([...taken, ...RESERVED_SLUGS]);
+    if (!used.has(base)) return base;
+    let n = 2;
+    while (used.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+}
+
+module.exports = { SLUG_TABLES, slugify, nextFreeSlug };
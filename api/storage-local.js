@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { sign, verifySignature } = require('./crypto-utils');
+
+/**
+ * Storage driver that keeps uploads in a directory on local disk (see api/storage.js for
+ * the interface). Keys are paths relative to that directory.
+ */
+class LocalStorage {
+    constructor(options = {}) {
+        this.root = path.resolve(options.dir);
+    }
+
+    // Absolute path of a key — refuses anything that would leave the upload directory
+    _path(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw Object.assign(new Error(`Invalid storage key: ${key}`), { code: 'EINVAL' });
+        }
+        return filePath;
+    }
+
+    async put(key, data) {
+        const filePath = this._path(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, data);
+    }
+
+    async get(key) {
+        return fs.promises.readFile(this._path(key));
+    }
+
+    async stat(key) {
+        try {
+            const stat = await fs.promises.stat(this._path(key));
+            return stat.isFile() ? { size: stat.size, modified: stat.mtime } : null;
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async list(prefix = '') {
+        const dir = prefix ? this._path(prefix) : this.root;
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return new Map();
+            throw err;
+        }
+        const files = new Map();
+        for (const name of names.filter(n => !n.startsWith('.'))) {
+            const stat = await fs.promises.stat(path.join(dir, name));
+            if (stat.isFile()) files.set(name, { size: stat.size, modified: stat.mtime });
+        }
+        return files;
+    }
+
+    async move(fromKey, toKey) {
+        const toPath = this._path(toKey);
+        await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+        await fs.promises.rename(this._path(fromKey), toPath);
+        const now = new Date();
+        await fs.promises.utimes(toPath, now, now);
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this._path(key));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    async send(req, res, key, options = {}) {
+        if (!await this.stat(key)) return false;
+        if (options.download) {
+            res.setHeader('Content-Disposition', `attachment; filename="${options.download}"`);
+            res.setHeader('Content-Type', 'application/octet-stream');
+        }
+        await new Promise((resolve, reject) => {
+            res.sendFile(this._path(key), { maxAge: (options.maxAge || 0) * 1000 }, (err) => {
+                // An aborted request isn't worth reporting
+                if (err && !res.headersSent) return reject(err);
+                resolve();
+            });
+        });
+        return true;
+    }
+
+    // Files on disk have no URL of their own: the link points back at the server, which
+    // checks the signature and expiry before sending the file (see verifySignedUrl)
+    async signedUrl(key, options = {}) {
+        const expires = Math.floor(Date.now() / 1000) + (options.expiresIn || 300);
+        const download = options.download || '';
+        const params = new URLSearchParams({ expires: String(expires) });
+        if (download) params.set('download', download);
+        params.set('signature', sign(`${key}\n${download}\n${expires}`));
+        return `/download/file/${encodeURIComponent(key)}?${params}`;
+    }
+
+    verifySignedUrl(key, query) {
+        const expires = parseInt(query.expires, 10);
+        const download = typeof query.download === 'string' ? query.download : '';
+        if (!expires || expires < Date.now() / 1000) return null;
+        if (!verifySignature(`${key}\n${download}\n${expires}`, query.signature)) return null;
+        return { download };
+    }
+}
+
+module.exports = LocalStorage;
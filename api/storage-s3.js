@@ -0,0 +1,186 @@
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    CopyObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// A missing object (but not a missing bucket, which is a configuration error)
+function isMissing(err) {
+    if (err.name === 'NoSuchBucket') return false;
+    return err.name === 'NoSuchKey' || err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+}
+
+// The same error code the local driver's file system errors carry
+function notFound(key) {
+    return Object.assign(new Error(`No such upload: ${key}`), { code: 'ENOENT' });
+}
+
+/**
+ * Storage driver for S3-compatible object storage — AWS S3, MinIO, Cloudflare R2 and the
+ * like (see api/storage.js for the interface). Keys are object keys under an optional prefix.
+ */
+class S3Storage {
+    constructor(options = {}) {
+        this.bucket = options.bucket;
+        this.prefix = options.prefix || '';
+        // Optional public base URL of the bucket (or a CDN in front of it): /uploads requests
+        // are redirected there instead of being streamed through this server
+        this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+        this.client = new S3Client({
+            region: options.region || 'us-east-1',
+            // MinIO and most other stand-ins need their own endpoint and path-style URLs
+            endpoint: options.endpoint || undefined,
+            forcePathStyle: !!options.forcePathStyle,
+            credentials: options.accessKeyId
+                ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+                : undefined
+        });
+    }
+
+    _key(key) {
+        return this.prefix + key;
+    }
+
+    async put(key, data, contentType) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._key(key),
+            Body: data,
+            ContentType: contentType || 'application/octet-stream'
+        }));
+    }
+
+    async get(key) {
+        try {
+            const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+            return Buffer.from(await object.Body.transformToByteArray());
+        } catch (err) {
+            if (isMissing(err)) throw notFound(key);
+            throw err;
+        }
+    }
+
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+            return { size: head.ContentLength, modified: head.LastModified };
+        } catch (err) {
+            if (isMissing(err)) return null;
+            throw err;
+        }
+    }
+
+    async list(prefix = '') {
+        const fullPrefix = this._key(prefix ? prefix.replace(/\/*$/, '/') : '');
+        const files = new Map();
+        let token;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: fullPrefix,
+                // Only the objects directly under the prefix, like a directory listing
+                Delimiter: '/',
+                ContinuationToken: token
+            }));
+            (page.Contents || []).forEach(object => {
+                const name = object.Key.slice(fullPrefix.length);
+                if (name && !name.startsWith('.')) files.set(name, { size: object.Size, modified: object.LastModified });
+            });
+            token = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (token);
+        return files;
+    }
+
+    // S3 has no rename: copy, then delete. The copy's modification time is now.
+    async move(fromKey, toKey) {
+        try {
+            await this.client.send(new CopyObjectCommand({
+                Bucket: this.bucket,
+                CopySource: encodeURI(`${this.bucket}/${this._key(fromKey)}`),
+                Key: this._key(toKey)
+            }));
+        } catch (err) {
+            if (isMissing(err)) throw notFound(fromKey);
+            throw err;
+        }
+        await this.remove(fromKey);
+    }
+
+    // Deleting a missing object succeeds in S3
+    async remove(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this._key(key) }));
+    }
+
+    async send(req, res, key, options = {}) {
+        if (this.publicUrl && !options.download) {
+            if (!await this.stat(key)) return false;
+            res.setHeader('Cache-Control', `public, max-age=${options.maxAge || 0}`);
+            res.redirect(`${this.publicUrl}/${encodeURI(this._key(key))}`);
+            return true;
+        }
+
+        let object;
+        try {
+            object = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this._key(key),
+                IfNoneMatch: req.headers['if-none-match'] || undefined
+            }));
+        } catch (err) {
+            if (err.$metadata && err.$metadata.httpStatusCode === 304) {
+                res.status(304).end();
+                return true;
+            }
+            if (isMissing(err)) return false;
+            throw err;
+        }
+
+        if (options.download) {
+            res.setHeader('Content-Disposition', `attachment; filename="${options.download}"`);
+            res.setHeader('Content-Type', 'application/octet-stream');
+        } else {
+            res.setHeader('Content-Type', object.ContentType || 'application/octet-stream');
+        }
+        if (object.ContentLength !== undefined) res.setHeader('Content-Length', object.ContentLength);
+        if (object.ETag) res.setHeader('ETag', object.ETag);
+        if (object.LastModified) res.setHeader('Last-Modified', object.LastModified.toUTCString());
+        res.setHeader('Cache-Control', `public, max-age=${options.maxAge || 0}`);
+
+        if (req.method === 'HEAD') {
+            object.Body.destroy();
+            res.end();
+            return true;
+        }
+        try {
+            await pipeline(object.Body, res);
+        } catch (err) {
+            // An aborted request isn't worth reporting
+            if (!res.headersSent) throw err;
+        }
+        return true;
+    }
+
+    // A presigned GET URL on the bucket itself — S3 checks the signature and expiry
+    async signedUrl(key, options = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this._key(key),
+            ResponseContentDisposition: options.download ? `attachment; filename="${options.download}"` : undefined,
+            ResponseContentType: options.download ? 'application/octet-stream' : undefined
+        });
+        return getSignedUrl(this.client, command, { expiresIn: options.expiresIn || 300 });
+    }
+
+    // Links from signedUrl() never come back to this server
+    verifySignedUrl() {
+        return null;
+    }
+}
+
+module.exports = S3Storage;
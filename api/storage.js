@@ -0,0 +1,50 @@
+const path = require('path');
+const LocalStorage = require('./storage-local');
+const S3Storage = require('./storage-s3');
+
+// Where uploaded files are kept. server.js, images.js and media.js go through the storage
+// driver chosen here rather than the file system, so uploads can live on local disk
+// (STORAGE_DRIVER=local, the default: UPLOAD_PATH or ./uploads) or in an S3-compatible
+// bucket (STORAGE_DRIVER=s3: AWS S3, MinIO, R2...). Content keeps referring to files as
+// /uploads/<name> either way; server.js serves that path from the driver.
+//
+// Files are addressed by key — an upload's file name, or a name under a folder such as the
+// quarantine (".quarantine/<name>"). Every driver implements:
+//   put(key, data, contentType)   store a Buffer
+//   get(key)                      resolve to its Buffer; rejects with code 'ENOENT' if missing
+//   stat(key)                     resolve to { size, modified } or null
+//   list(prefix)                  resolve to a Map of name -> { size, modified } for the files
+//                                 directly under a folder ('' for the top level), no dotfiles
+//   move(fromKey, toKey)          rename; the moved file's modification time becomes now
+//   remove(key)                   delete; a missing file is not an error
+//   send(req, res, key, options)  answer a request with the file — resolves to false if it's
+//                                 missing. options: { maxAge (seconds), download (file name) }
+//   signedUrl(key, options)       resolve to a link that stops working after
+//                                 options.expiresIn seconds; options.download as for send()
+//   verifySignedUrl(key, query)   for links that come back to /download/file/:key: the
+//                                 { download } they were signed with, or null if invalid
+
+function createStorage() {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+    if (driver === 'local') {
+        return new LocalStorage({ dir: process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads') });
+    }
+    if (driver === 's3') {
+        if (!process.env.S3_BUCKET) {
+            throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+        }
+        return new S3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            prefix: process.env.S3_PREFIX,
+            publicUrl: process.env.S3_PUBLIC_URL
+        });
+    }
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+}
+
+module.exports = createStorage();
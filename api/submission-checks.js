@@ -0,0 +1,137 @@
+// Anti-spam checks shared by the public forms (contact messages, blog comments):
+// honeypot field, device fingerprint throttling and email verification.
+const validator = require('validator');
+const EmailVerificationService = require('./email-verification');
+const DeviceProtection = require('./device-protection');
+
+const emailVerifier = new EmailVerificationService();
+
+// One device tracker per form, so posting comments doesn't use up a visitor's allowance
+// on the contact form (and the other way round)
+const FORMS = ['contact', 'comments'];
+const deviceProtection = new Map(FORMS.map(form => [form, new DeviceProtection()]));
+deviceProtection.forEach(tracker => tracker.startCleanupInterval());
+
+function trackerFor(form) {
+    const tracker = deviceProtection.get(form);
+    if (!tracker) throw new Error(`Unknown form "${form}" (expected ${FORMS.join(' or ')})`);
+    return tracker;
+}
+
+// Enhanced email validation
+function validateEmail(email) {
+    const disposableDomains = [
+        '10minutemail.com', 'tempmail.org', 'guerrillamail.com',
+        'mailinator.com', 'yopmail.com', 'temp-mail.org',
+        'throwaway.email', 'maildrop.cc', 'tempmail.de',
+        '10minutemail.co', 'temp-mail.org', 'yopmail.net',
+        'maildrop.cc', '20minutemail.com', 'guerrillamail.de'
+    ];
+
+    const suspiciousPatterns = [
+        /^[a-z]{1,2}\d{3,}@/, // 1-2 letters + 3+ numbers@ (like ab123@)
+        /test123|demo123|fake123|sample123/i, // specific test patterns
+        /^test@|^demo@|^fake@|^sample@|^random@/i // exact suspicious usernames (noreply is allowed)
+    ];
+
+    const atIndex = email.indexOf('@');
+    if (atIndex === -1) return { valid: false, message: 'Please enter a valid email address' };
+    const domain = email.slice(atIndex + 1).toLowerCase();
+
+    // Check for disposable email
+    if (disposableDomains.some(disposable => domain.includes(disposable))) {
+        return { valid: false, message: 'Please use a permanent email address (no disposable emails allowed)' };
+    }
+
+    // Check for suspicious patterns (more specific now)
+    if (suspiciousPatterns.some(pattern => pattern.test(email))) {
+        return { valid: false, message: 'Please use a real email address' };
+    }
+
+    return { valid: true };
+}
+
+// Honeypot — hidden field that only bots fill in
+function isHoneypotFilled(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Device protection check for one of FORMS. Sends the 429 itself and resolves to null when
+// the device is blocked or needs a CAPTCHA; otherwise resolves to the result (action may be
+// 'warning').
+async function checkDevice(req, res, form) {
+    const protectionResult = await trackerFor(form).checkDevice(req);
+
+    if (!protectionResult.allowed) {
+
+        if (protectionResult.action === 'block') {
+            res.status(429).json({
+                error: protectionResult.message,
+                action: 'block',
+                retryAfter: protectionResult.retryAfter
+            });
+            return null;
+        }
+
+        if (protectionResult.action === 'captcha') {
+            res.status(429).json({
+                error: protectionResult.message,
+                action: 'captcha',
+                captchaRequired: true
+            });
+            return null;
+        }
+    }
+    return protectionResult;
+}
+
+// Record a successful submission of one of FORMS against the device
+function recordSubmission(req, form) {
+    const tracker = trackerFor(form);
+    tracker.recordSubmission(tracker.getDeviceFingerprint(req));
+}
+
+// Stable per-device id (hash of IP and browser headers) for de-duplicating votes — the
+// same whichever tracker computes it
+function getDeviceFingerprint(req) {
+    return trackerFor('contact').getDeviceFingerprint(req);
+}
+
+/**
+ * Validate an email address: format, disposable domains/suspicious patterns, then the
+ * verification service. Resolves to null when it passes, or to the 400 response body.
+ */
+async function checkEmail(email) {
+    if (!email || typeof email !== 'string') {
+        return { error: 'Email is required' };
+    }
+
+    if (!validator.isEmail(email)) {
+        return { error: 'Please provide a valid email address' };
+    }
+
+    // Fast synchronous check: disposable domains & suspicious patterns
+    const basicCheck = validateEmail(email);
+    if (!basicCheck.valid) {
+        return { error: basicCheck.message };
+    }
+
+    // Professional email verification
+    try {
+        const verificationResult = await emailVerifier.verifyEmail(email);
+
+        if (!verificationResult.valid) {
+            return {
+                error: 'Please use a real, permanent email address. Disposable or fake emails are not allowed.',
+                reason: verificationResult.reason,
+                method: verificationResult.method
+            };
+        }
+    } catch (error) {
+        console.error('Email verification service error:', error);
+        // Continue with basic validation if service fails
+    }
+    return null;
+}
+
+module.exports = { isHoneypotFilled, checkDevice, recordSubmission, checkEmail, getDeviceFingerprint };
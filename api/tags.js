@@ -0,0 +1,253 @@
+const express = require('express');
+const { db } = require('../database/db');
+const { slugify, nextFreeSlug } = require('./slug-utils');
+const { syncSearchIndex } = require('./search');
+const { invalidateOnWrite } = require('./content-cache');
+const router = express.Router();
+
+// Content tables that carry tags. The tags/content_tags tables are the source of truth;
+// each row's JSON `tags` column is a cached copy kept in sync for readers and the search index.
+const TAGGABLE_TABLES = ['blog', 'projects'];
+const MAX_TAG_LENGTH = 50;
+
+// Middleware to check admin auth
+const requireAuth = (req, res, next) => {
+    if (!req.session.isAdmin) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+};
+
+// Renaming, merging or deleting a tag rewrites the tags of blog posts and projects
+router.use(invalidateOnWrite(() => TAGGABLE_TABLES));
+
+function cleanTagName(name) {
+    return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH) : '';
+}
+
+// Pick a free slug for a tag name, ignoring the tag's own current slug
+function uniqueTagSlug(name, excludeId, callback) {
+    const base = slugify(name) || 'tag';
+    db.all(
+        'SELECT slug FROM tags WHERE (slug = ? OR slug LIKE ?) AND id != ?',
+        [base, `${base}-%`, excludeId || 0],
+        (err, rows) => {
+            if (err) return callback(err);
+            callback(null, nextFreeSlug(base, rows.map(r => r.slug)));
+        }
+    );
+}
+
+// Names are unique case-insensitively, so "ai" reuses an existing "AI" tag
+function findOrCreateTag(name, callback) {
+    db.get('SELECT id, name, slug FROM tags WHERE name = ? COLLATE NOCASE', [name], (err, tag) => {
+        if (err || tag) return callback(err, tag);
+        uniqueTagSlug(name, null, (slugErr, slug) => {
+            if (slugErr) return callback(slugErr);
+            db.run('INSERT INTO tags (name, slug) VALUES (?, ?)', [name, slug], function(insErr) {
+                if (insErr) return callback(insErr);
+                callback(null, { id: this.lastID, name, slug });
+            });
+        });
+    });
+}
+
+// Rewrite an item's cached JSON tags column from the join table (keeps tag order)
+function refreshTagsColumn(tableName, itemId, callback) {
+    db.run(
+        `UPDATE ${tableName} SET tags = (
+            SELECT json_group_array(name) FROM (
+                SELECT t.name FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+                WHERE ct.table_name = ? AND ct.item_id = ? ORDER BY ct.position
+            )
+        ), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [tableName, itemId, itemId],
+        callback
+    );
+}
+
+// Drop tags no longer used by any item (trashed items still hold theirs)
+function deleteUnusedTags() {
+    db.run('DELETE FROM tags WHERE id NOT IN (SELECT DISTINCT tag_id FROM content_tags)', [], (err) => {
+        if (err) console.error('Error deleting unused tags:', err);
+    });
+}
+
+/**
+ * Replace an item's tags with the given names (creating tags as needed),
+ * then refresh its cached JSON column to the canonical tag names.
+ */
+function setItemTags(tableName, itemId, names, callback) {
+    if (!TAGGABLE_TABLES.includes(tableName)) return callback(null);
+    const seen = new Set();
+    const cleaned = (Array.isArray(names) ? names : [])
+        .map(cleanTagName)
+        .filter(name => name && !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+
+    const tagIds = [];
+    const next = (i) => {
+        if (i < cleaned.length) {
+            return findOrCreateTag(cleaned[i], (err, tag) => {
+                if (err) return callback(err);
+                tagIds.push(tag.id);
+                next(i + 1);
+            });
+        }
+        db.run('DELETE FROM content_tags WHERE table_name = ? AND item_id = ?', [tableName, itemId], (delErr) => {
+            if (delErr) return callback(delErr);
+            const insert = (j) => {
+                if (j >= tagIds.length) {
+                    return refreshTagsColumn(tableName, itemId, (refreshErr) => {
+                        if (!refreshErr) deleteUnusedTags();
+                        callback(refreshErr);
+                    });
+                }
+                db.run(
+                    'INSERT INTO content_tags (table_name, item_id, tag_id, position) VALUES (?, ?, ?, ?)',
+                    [tableName, itemId, tagIds[j], j],
+                    (insErr) => insErr ? callback(insErr) : insert(j + 1)
+                );
+            };
+            insert(0);
+        });
+    };
+    next(0);
+}
+
+// Forget an item's tags — used when it's purged from the trash
+function removeItemTags(tableName, itemId) {
+    if (!TAGGABLE_TABLES.includes(tableName)) return;
+    db.run('DELETE FROM content_tags WHERE table_name = ? AND item_id = ?', [tableName, itemId], (err) => {
+        if (err) return console.error('Error removing item tags:', err);
+        deleteUnusedTags();
+    });
+}
+
+// Find a tag by current slug or a previous one; canonical is false when the caller should redirect
+function resolveTag(slug, callback) {
+    db.get(
+        `SELECT id, name, slug, 0 AS rank FROM tags WHERE slug = ?
+         UNION ALL SELECT t.id, t.name, t.slug, 1 FROM slug_redirects r JOIN tags t ON t.id = CAST(r.item_id AS INTEGER)
+             WHERE r.table_name = 'tags' AND r.old_slug = ?
+         ORDER BY rank LIMIT 1`,
+        [slug, slug],
+        (err, row) => {
+            if (err || !row) return callback(err, null);
+            callback(null, { id: row.id, name: row.name, slug: row.slug, canonical: row.rank === 0 });
+        }
+    );
+}
+
+// Refresh cached tag columns and search entries for every item in `items`. Calls back once
+// every tags column is rewritten, so the response (and the cache invalidation that follows
+// it) comes after the new names are in place. Failures are logged per item.
+function refreshItems(items, callback) {
+    let pending = items.length;
+    if (pending === 0) return callback();
+    items.forEach(({ table_name, item_id }) => {
+        refreshTagsColumn(table_name, item_id, (err) => {
+            if (err) console.error('Error refreshing item tags:', err);
+            else syncSearchIndex(table_name, item_id);
+            if (--pending === 0) callback();
+        });
+    });
+}
+
+function recordTagRedirect(oldSlug, tagId) {
+    db.run(
+        "INSERT OR REPLACE INTO slug_redirects (table_name, old_slug, item_id) VALUES ('tags', ?, ?)",
+        [oldSlug, String(tagId)],
+        (err) => { if (err) console.error('Error recording tag redirect:', err); }
+    );
+}
+
+// List all tags with usage counts (admin only)
+router.get('/', requireAuth, (req, res) => {
+    db.all(
+        `SELECT t.id, t.name, t.slug,
+                COALESCE(SUM(ct.table_name = 'blog'), 0) AS blog_count,
+                COALESCE(SUM(ct.table_name = 'projects'), 0) AS project_count
+         FROM tags t LEFT JOIN content_tags ct ON ct.tag_id = t.id
+         GROUP BY t.id ORDER BY t.name COLLATE NOCASE`,
+        [],
+        (err, rows) => {
+            if (err) { console.error('Error fetching tags:', err); return res.status(500).json({ error: 'Internal server error' }); }
+            res.json(rows);
+        }
+    );
+});
+
+// Rename a tag everywhere it's used (admin only). The old slug keeps redirecting.
+router.patch('/:id', requireAuth, (req, res) => {
+    const name = cleanTagName(req.body.name);
+    if (!name) return res.status(400).json({ error: 'Tag name is required' });
+
+    db.get('SELECT id, name, slug FROM tags WHERE id = ?', [req.params.id], (err, tag) => {
+        if (err) { console.error('Error fetching tag:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        if (!tag) return res.status(404).json({ error: 'Tag not found' });
+
+        db.get('SELECT id FROM tags WHERE name = ? COLLATE NOCASE AND id != ?', [name, tag.id], (dupErr, duplicate) => {
+            if (dupErr) { console.error('Error renaming tag:', dupErr); return res.status(500).json({ error: 'Internal server error' }); }
+            if (duplicate) return res.status(409).json({ error: 'Another tag already has that name — merge the tags instead', id: duplicate.id });
+
+            uniqueTagSlug(name, tag.id, (slugErr, slug) => {
+                if (slugErr) { console.error('Error renaming tag:', slugErr); return res.status(500).json({ error: 'Internal server error' }); }
+                db.run('UPDATE tags SET name = ?, slug = ? WHERE id = ?', [name, slug, tag.id], (updErr) => {
+                    if (updErr) { console.error('Error renaming tag:', updErr); return res.status(500).json({ error: 'Internal server error' }); }
+                    if (slug !== tag.slug) recordTagRedirect(tag.slug, tag.id);
+                    db.all('SELECT table_name, item_id FROM content_tags WHERE tag_id = ?', [tag.id], (itemsErr, items) => {
+                        if (itemsErr) console.error('Error fetching tagged items:', itemsErr);
+                        refreshItems(items || [], () => {
+                            res.json({ id: tag.id, name, slug, items: (items || []).length });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+// Merge a tag into another (admin only): every item tagged with :id gets { into } instead
+router.post('/:id/merge', requireAuth, (req, res) => {
+    const sourceId = parseInt(req.params.id, 10);
+    const targetId = parseInt(req.body.into, 10);
+    if (!sourceId || !targetId) return res.status(400).json({ error: 'into must be a tag id' });
+    if (sourceId === targetId) return res.status(400).json({ error: 'Cannot merge a tag into itself' });
+
+    db.all('SELECT id, slug FROM tags WHERE id IN (?, ?)', [sourceId, targetId], (err, tags) => {
+        if (err) { console.error('Error merging tags:', err); return res.status(500).json({ error: 'Internal server error' }); }
+        const source = tags.find(t => t.id === sourceId);
+        const target = tags.find(t => t.id === targetId);
+        if (!source || !target) return res.status(404).json({ error: 'Tag not found' });
+
+        db.all('SELECT table_name, item_id FROM content_tags WHERE tag_id = ?', [sourceId], (itemsErr, items) => {
+            if (itemsErr) { console.error('Error merging tags:', itemsErr); return res.status(500).json({ error: 'Internal server error' }); }
+
+            // Ids are validated integers; exec runs the whole batch as one transaction
+            db.exec(`
+                BEGIN;
+                INSERT OR IGNORE INTO content_tags (table_name, item_id, tag_id, position)
+                    SELECT table_name, item_id, ${targetId}, position FROM content_tags WHERE tag_id = ${sourceId};
+                DELETE FROM content_tags WHERE tag_id = ${sourceId};
+                DELETE FROM tags WHERE id = ${sourceId};
+                UPDATE slug_redirects SET item_id = '${targetId}' WHERE table_name = 'tags' AND item_id = '${sourceId}';
+                COMMIT;
+            `, (mergeErr) => {
+                if (mergeErr) {
+                    console.error('Error merging tags:', mergeErr);
+                    return db.run('ROLLBACK', () => res.status(500).json({ error: 'Internal server error' }));
+                }
+                recordTagRedirect(source.slug, targetId);
+                refreshItems(items, () => {
+                    res.json({ success: true, into: targetId, items: items.length });
+                });
+            });
+        });
+    });
+});
+
+module.exports = router;
+module.exports.TAGGABLE_TABLES = TAGGABLE_TABLES;
+module.exports.setItemTags = setItemTags;
+module.exports.removeItemTags = removeItemTags;
+module.exports.resolveTag = resolveTag;
@@ -0,0 +1,108 @@
+// Checks on uploaded files, run on the bytes multer received rather than on what the client
+// claimed: the file's signature (magic bytes) must match its declared type, and files that
+// hide markup or script (SVG/HTML renamed to .jpg, image/archive polyglots, PDFs with
+// JavaScript, macro-enabled Word files) are refused. Every rejection is logged to the
+// upload_rejections table with a reason for the dashboard.
+const path = require('path');
+const { db } = require('../database/db');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Browsers send either for JPEGs
+const TYPE_ALIASES = { 'image/jpg': 'image/jpeg' };
+
+// Markup a browser could run, anywhere in the file (the file is read as latin1 text)
+const ACTIVE_MARKUP = /<\s*(script|iframe|object|embed|html|body)\b|<svg[\s>]|<\?php|javascript:/i;
+// PDF actions that run code or open other files
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|Launch|EmbeddedFile)\b/;
+// End-of-central-directory record of a ZIP archive appended to a file
+const ZIP_END_RECORD = Buffer.from('PK\x05\x06', 'latin1');
+// The record sits in the last 22 bytes plus an optional comment of up to 64 KB
+const ZIP_END_SEARCH_BYTES = 22 + 65535;
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(text) {
+    return [...Buffer.from(text, 'latin1')];
+}
+
+/**
+ * The type a file's content says it is, from its leading bytes: one of the upload
+ * MIME types, 'application/zip', 'image/svg+xml', 'text/html', or null when unknown.
+ */
+function detectType(buffer) {
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+    if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'application/msword';
+    if (startsWith(buffer, ascii('PK\x03\x04'))) {
+        // A .docx is a ZIP whose entries include the content types list and a word/ folder
+        const text = buffer.toString('latin1');
+        return text.includes('[Content_Types].xml') && text.includes('word/') ? DOCX_TYPE : 'application/zip';
+    }
+    // Text that opens with a tag (after any byte-order mark and whitespace)
+    const head = buffer.slice(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('<')) return /<svg[\s>]/i.test(buffer.slice(0, 4096).toString('utf8')) ? 'image/svg+xml' : 'text/html';
+    return null;
+}
+
+// What's wrong with a file whose signature matches its declared type, or null
+function findHiddenContent(buffer, type) {
+    const text = buffer.toString('latin1');
+    if (type.startsWith('image/')) {
+        if (ACTIVE_MARKUP.test(text)) return 'Image contains embedded HTML/SVG markup or script';
+        if (buffer.indexOf(ZIP_END_RECORD, Math.max(0, buffer.length - ZIP_END_SEARCH_BYTES)) !== -1) {
+            return 'Image has a ZIP archive appended to it';
+        }
+    }
+    if (type === 'application/pdf' && PDF_ACTIVE_CONTENT.test(text)) {
+        return 'PDF contains JavaScript, launch actions or embedded files';
+    }
+    if (type === DOCX_TYPE && text.includes('vbaProject.bin')) {
+        return 'Word document contains macros';
+    }
+    return null;
+}
+
+/**
+ * Check a file multer has received (in memory). Resolves to { type } — the verified MIME
+ * type — or to { reason, detectedType } when it must be rejected.
+ */
+async function verifyUpload(file) {
+    const buffer = file.buffer;
+    const claimed = TYPE_ALIASES[file.mimetype] || file.mimetype;
+    const detectedType = detectType(buffer);
+
+    if (detectedType === 'image/svg+xml' || detectedType === 'text/html') {
+        return { reason: `File is ${detectedType === 'text/html' ? 'HTML' : 'SVG'} markup disguised as ${path.extname(file.originalname) || claimed}`, detectedType };
+    }
+    if (!detectedType) {
+        return { reason: `File content doesn't match any allowed type (claimed ${claimed})`, detectedType };
+    }
+    if (detectedType !== claimed) {
+        return { reason: `File content is ${detectedType}, but it was uploaded as ${claimed}`, detectedType };
+    }
+    const hidden = findHiddenContent(buffer, detectedType);
+    if (hidden) return { reason: hidden, detectedType };
+    return { type: detectedType };
+}
+
+// Record a refused upload and say why in the server log. `file` may be partial
+// (multer's file filter runs before there's a size).
+function logRejection(req, file, reason, detectedType = null) {
+    const name = file && file.originalname ? path.basename(file.originalname).slice(0, 255) : null;
+    console.warn(`Upload rejected${name ? ` (${name})` : ''}: ${reason}`);
+    db.run(
+        'INSERT INTO upload_rejections (original_name, claimed_type, detected_type, size, reason, uploaded_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, file ? file.mimetype : null, detectedType, file && file.size !== undefined ? file.size : null, reason, req.session.username || 'admin'],
+        (err) => {
+            if (err) console.error('Error logging upload rejection:', err);
+        }
+    );
+}
+
+module.exports = { verifyUpload, logRejection };
@@ -0,0 +1,25 @@
+// Shared rules for what anonymous visitors may see.
+// publish_at is stored as an ISO-8601 UTC string ("2025-01-31T09:00:00.000Z"), so it
+// compares lexically against SQLite's clock in the same format — scheduled posts go
+// live on the first read after their time passes, no job or restart needed.
+const NOW_SQL = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// WHERE fragment for blog posts that are live (published and not scheduled for later)
+const BLOG_LIVE_SQL = `published = 1 AND (publish_at IS NULL OR publish_at <= ${NOW_SQL})`;
+
+// JS equivalent of the SQL rules for a single row
+function isPubliclyVisible(tableName, row) {
+    if (row.hidden) return false;
+    if (tableName !== 'blog') return true;
+    return row.published === 1 && (!row.publish_at || new Date(row.publish_at) <= new Date());
+}
+
+// Normalise an incoming publish_at value to ISO UTC (or null to clear it).
+// Returns undefined when the value can't be parsed as a date.
+function normalizePublishAt(value) {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+module.exports = { BLOG_LIVE_SQL, isPubliclyVisible, normalizePublishAt };
@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { SLUG_TABLES, slugify, nextFreeSlug } = require('../api/slug-utils');
 
 // Use DB_PATH env var for persistent disk (e.g. Render), fallback to local ./database
 const dbDir = process.env.DB_PATH || path.join(__dirname, '..', 'database');
@@ -35,6 +36,13 @@ const get = (sql, params = []) => new Promise((resolve, reject) => {
     });
 });
 
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows);
+    });
+});
+
 // Run a column migration safely — only adds the column if it doesn't exist
 const addColumnIfMissing = async (table, column, definition) => {
     const row = await get(`PRAGMA table_info(${table})`);
@@ -151,10 +159,243 @@ const initialize = async () => {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`);
 
+    // Previous slugs of renamed items — old links 301 to the current slug
+    await run(`CREATE TABLE IF NOT EXISTS slug_redirects (
+        table_name TEXT NOT NULL,
+        old_slug TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (table_name, old_slug)
+    )`);
+
+    // Snapshots of blog/projects rows taken before each update (see api/content.js)
+    await run(`CREATE TABLE IF NOT EXISTS revisions (
+        id TEXT PRIMARY KEY,
+        table_name TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        changed_fields TEXT NOT NULL,
+        editor TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_revisions_item ON revisions(table_name, item_id, created_at)');
+
+    // Normalised tags for blog/projects (see api/tags.js). The JSON tags column on each
+    // row is kept as a cached copy of the names, in order, for readers and search.
+    await run(`CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        slug TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run(`CREATE TABLE IF NOT EXISTS content_tags (
+        table_name TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        tag_id INTEGER NOT NULL REFERENCES tags(id),
+        position INTEGER DEFAULT 0,
+        PRIMARY KEY (table_name, item_id, tag_id)
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_content_tags_tag ON content_tags(tag_id)');
+
+    // Reader comments on blog posts (see api/comments.js). New comments wait in the
+    // moderation queue as 'pending'; parent_id threads replies under another comment.
+    await run(`CREATE TABLE IF NOT EXISTS comments (
+        id TEXT PRIMARY KEY,
+        post_id TEXT NOT NULL,
+        parent_id TEXT,
+        name TEXT NOT NULL,
+        email TEXT,
+        content TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+        is_admin INTEGER DEFAULT 0,
+        show_badge INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        moderated_at DATETIME
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_comments_post ON comments(post_id, status, created_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_comments_status ON comments(status, created_at)');
+
+    // Cookieless page-view analytics (see api/analytics.js). visitor_hash is a salted hash
+    // whose salt rotates daily, so visitors can only be told apart within a single day.
+    await run(`CREATE TABLE IF NOT EXISTS page_views (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL,
+        blog_id TEXT,
+        referrer_host TEXT,
+        device TEXT,
+        visitor_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_page_views_created ON page_views(created_at)');
+    await run('CREATE INDEX IF NOT EXISTS idx_page_views_blog ON page_views(blog_id, created_at)');
+    // Page views older than the longest summary range, rolled up into daily totals per path
+    await run(`CREATE TABLE IF NOT EXISTS page_views_daily (
+        date TEXT NOT NULL,
+        path TEXT NOT NULL,
+        blog_id TEXT,
+        views INTEGER NOT NULL DEFAULT 0,
+        visitors INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (date, path)
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_page_views_daily_blog ON page_views_daily(blog_id)');
+
+    // Emoji reactions on blog posts and projects (see api/reactions.js), one row per
+    // visitor and reaction — the visitor is a DeviceProtection fingerprint
+    await run(`CREATE TABLE IF NOT EXISTS reactions (
+        table_name TEXT NOT NULL,
+        item_id TEXT NOT NULL,
+        reaction TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (table_name, item_id, reaction, fingerprint)
+    )`);
+
+    // Responsive variants of uploaded images (see api/images.js): one row per original
+    // upload, with its dimensions and the resized WebP/AVIF files as a JSON list
+    await run(`CREATE TABLE IF NOT EXISTS images (
+        url TEXT PRIMARY KEY,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        format TEXT,
+        variants TEXT NOT NULL DEFAULT '[]',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Media library (see api/media.js): every file in the upload directory, except the
+    // generated image variants. hash is the SHA-256 of the stored file.
+    await run(`CREATE TABLE IF NOT EXISTS uploads (
+        id TEXT PRIMARY KEY,
+        url TEXT UNIQUE NOT NULL,
+        original_name TEXT,
+        mime_type TEXT,
+        size INTEGER,
+        hash TEXT,
+        alt_text TEXT,
+        uploaded_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Uploads refused by the file checks (see api/upload-checks.js), for the dashboard
+    await run(`CREATE TABLE IF NOT EXISTS upload_rejections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        original_name TEXT,
+        claimed_type TEXT,
+        detected_type TEXT,
+        size INTEGER,
+        reason TEXT NOT NULL,
+        uploaded_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_upload_rejections_created ON upload_rejections(created_at)');
+
+    // Full-text search index over blog, projects and experience.
+    // Rebuilt on boot and kept in sync by the content write handlers (see api/search.js).
+    await run(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        source UNINDEXED,
+        item_id UNINDEXED,
+        title,
+        body,
+        tags,
+        tokenize = 'porter unicode61'
+    )`);
+
     // ── Schema migrations (safe, idempotent, run every boot) ─────────────
     await addColumnIfMissing('experience', 'location', 'TEXT');
     await addColumnIfMissing('education',  'location', 'TEXT');
     await addColumnIfMissing('blog',       'author',   "TEXT DEFAULT 'Bishwash Acharya'");
+    await addColumnIfMissing('blog',       'slug',     'TEXT');
+    await addColumnIfMissing('projects',   'slug',     'TEXT');
+    await addColumnIfMissing('skills',     'order_num', 'INTEGER DEFAULT 0');
+
+    // Soft delete — rows with deleted_at set live in the trash (see api/content.js)
+    for (const table of ['experience', 'education', 'projects', 'blog', 'skills']) {
+        await addColumnIfMissing(table, 'deleted_at', 'DATETIME');
+    }
+
+    // Last change to each row — bumped by every write in api/content.js and behind the
+    // ETags of the public content API (api/content-cache.js)
+    for (const table of ['experience', 'education', 'projects', 'blog', 'skills']) {
+        await addColumnIfMissing(table, 'updated_at', 'DATETIME');
+        await run(`UPDATE ${table} SET updated_at = created_at WHERE updated_at IS NULL`);
+    }
+
+    // Scheduled publishing — ISO-8601 UTC; NULL means "as soon as published = 1"
+    await addColumnIfMissing('blog',       'publish_at', 'TEXT');
+
+    // Rendered Markdown cache — filled in by api/content.js, re-rendered when render_version is stale
+    await addColumnIfMissing('blog',       'content_html',   'TEXT');
+    await addColumnIfMissing('blog',       'toc',            'TEXT');
+    await addColumnIfMissing('blog',       'render_version', 'INTEGER');
+
+    // Reading stats — word_count is computed from the rendered post; excerpt/read_time are
+    // generated while their *_auto flag is set and left alone once the author overrides them
+    await addColumnIfMissing('blog',       'word_count',     'INTEGER');
+    await addColumnIfMissing('blog',       'excerpt_auto',   'INTEGER DEFAULT 0');
+    await addColumnIfMissing('blog',       'read_time_auto', 'INTEGER DEFAULT 0');
+    // Posts from before stats existed: generate what the author left empty (filled at startup)
+    await run("UPDATE blog SET excerpt_auto = 1 WHERE word_count IS NULL AND TRIM(COALESCE(excerpt, '')) = ''");
+    await run('UPDATE blog SET read_time_auto = 1 WHERE word_count IS NULL AND read_time IS NULL');
+
+    // Set while the upload garbage collector holds a file in quarantine (see api/media.js)
+    await addColumnIfMissing('uploads',    'quarantined_at', 'DATETIME');
+
+    // Backfill slugs for rows created before slugs existed, then enforce uniqueness
+    for (const table of SLUG_TABLES) {
+        const rows = await all(`SELECT id, title, slug FROM ${table} ORDER BY created_at`);
+        const taken = rows.filter(r => r.slug).map(r => r.slug);
+        for (const row of rows.filter(r => !r.slug)) {
+            const slug = nextFreeSlug(slugify(row.title) || row.id.slice(0, 8), taken);
+            await run(`UPDATE ${table} SET slug = ? WHERE id = ?`, [slug, row.id]);
+            taken.push(slug);
+        }
+        if (rows.some(r => !r.slug)) console.log(`  ✓ Migration: generated slugs for ${table}`);
+        await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_slug ON ${table}(slug)`);
+    }
+
+    // Backfill the tags tables from the JSON tags columns on first boot after upgrading
+    const tagLinks = await get('SELECT COUNT(*) AS count FROM content_tags');
+    if (tagLinks.count === 0) {
+        const tagIds = new Map((await all('SELECT id, name FROM tags')).map(t => [t.name.toLowerCase(), t.id]));
+        const takenSlugs = (await all('SELECT slug FROM tags')).map(t => t.slug);
+        let linked = 0;
+        for (const table of ['blog', 'projects']) {
+            const rows = await all(`SELECT id, tags FROM ${table} WHERE tags IS NOT NULL AND tags != '[]'`);
+            for (const row of rows) {
+                let names;
+                try { names = JSON.parse(row.tags); } catch (e) { continue; }
+                if (!Array.isArray(names)) continue;
+                let position = 0;
+                for (const raw of names) {
+                    const name = typeof raw === 'string' ? raw.trim().replace(/\s+/g, ' ').slice(0, 50) : '';
+                    if (!name) continue;
+                    let tagId = tagIds.get(name.toLowerCase());
+                    if (!tagId) {
+                        const slug = nextFreeSlug(slugify(name) || 'tag', takenSlugs);
+                        tagId = (await run('INSERT INTO tags (name, slug) VALUES (?, ?)', [name, slug])).lastID;
+                        tagIds.set(name.toLowerCase(), tagId);
+                        takenSlugs.push(slug);
+                    }
+                    const result = await run(
+                        'INSERT OR IGNORE INTO content_tags (table_name, item_id, tag_id, position) VALUES (?, ?, ?, ?)',
+                        [table, row.id, tagId, position++]
+                    );
+                    linked += result.changes;
+                }
+            }
+        }
+        if (linked) {
+            // Rewrite the JSON columns with the de-duplicated, canonical names
+            for (const table of ['blog', 'projects']) {
+                await run(`UPDATE ${table} SET tags = (
+                    SELECT json_group_array(name) FROM (
+                        SELECT t.name FROM content_tags ct JOIN tags t ON t.id = ct.tag_id
+                        WHERE ct.table_name = '${table}' AND ct.item_id = ${table}.id ORDER BY ct.position
+                    )
+                ) WHERE id IN (SELECT item_id FROM content_tags WHERE table_name = '${table}')`);
+            }
+            console.log(`  ✓ Migration: linked ${linked} tags into the tags table`);
+        }
+    }
 
     // ── Seed default settings only on first boot ──────────────────────────
     const row = await get('SELECT COUNT(*) as count FROM settings');
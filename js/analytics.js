@@ -0,0 +1,12 @@
+// Cookieless page-view beacon for the self-hosted analytics (api/analytics.js).
+// Sends only the path and referrer; nothing is stored in the browser.
+(function () {
+    if (navigator.doNotTrack === '1' || navigator.globalPrivacyControl) return;
+
+    const url = '/api/analytics/view';
+    const body = JSON.stringify({ path: window.location.pathname, referrer: document.referrer });
+
+    // text/plain keeps the beacon a "simple" request; the server parses the JSON itself
+    if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) return;
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body, keepalive: true }).catch(() => {});
+})();
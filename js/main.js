@@ -34,6 +34,8 @@ class PortfolioApp {
 
         this.setupBackToTop();
 
+        this.setupSiteSearch();
+
         this.loadContentFromAPI();
 
         this.setupContactForm();
@@ -907,6 +909,190 @@ class PortfolioApp {
 
 
 
+    // Site-wide search overlay (button injected into the nav on every page, also opens with "/" or Ctrl+K)
+
+    setupSiteSearch() {
+
+        const navMenu = document.querySelector('.nav-menu');
+
+        if (!navMenu || document.querySelector('.site-search-toggle')) return;
+
+
+
+        const searchIcon = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>';
+
+
+
+        const toggle = document.createElement('button');
+
+        toggle.className = 'site-search-toggle';
+
+        toggle.setAttribute('aria-label', 'Search the site');
+
+        toggle.innerHTML = searchIcon;
+
+        const themeToggle = navMenu.querySelector('.theme-toggle');
+
+        navMenu.insertBefore(toggle, themeToggle || null);
+
+
+
+        const overlay = document.createElement('div');
+
+        overlay.className = 'site-search-overlay';
+
+        overlay.setAttribute('role', 'dialog');
+
+        overlay.setAttribute('aria-label', 'Search');
+
+        overlay.innerHTML = `
+
+            <div class="site-search-panel">
+
+                <div class="site-search-input-wrap">
+
+                    ${searchIcon}
+
+                    <input type="search" class="site-search-input" placeholder="Search posts, projects and experience..." autocomplete="off">
+
+                    <kbd>Esc</kbd>
+
+                </div>
+
+                <div class="site-search-results" aria-live="polite"></div>
+
+            </div>
+
+        `;
+
+        document.body.appendChild(overlay);
+
+
+
+        const input = overlay.querySelector('.site-search-input');
+
+        const results = overlay.querySelector('.site-search-results');
+
+        const typeLabels = { blog: 'Blog', projects: 'Project', experience: 'Experience' };
+
+        let debounce = null;
+
+        let requestId = 0;
+
+
+
+        const open = () => {
+
+            overlay.classList.add('open');
+
+            document.body.style.overflow = 'hidden';
+
+            setTimeout(() => input.focus(), 50);
+
+        };
+
+        const close = () => {
+
+            overlay.classList.remove('open');
+
+            document.body.style.overflow = '';
+
+        };
+
+
+
+        const runSearch = async (q) => {
+
+            const current = ++requestId;
+
+            if (!q.trim()) {
+
+                results.innerHTML = '';
+
+                return;
+
+            }
+
+            try {
+
+                const data = await fetch(`/api/search?q=${encodeURIComponent(q)}`).then(r => r.json());
+
+                if (current !== requestId) return; // a newer query is in flight
+
+                if (!data.results || data.results.length === 0) {
+
+                    results.innerHTML = '<p class="site-search-empty">No results found</p>';
+
+                    return;
+
+                }
+
+                // title/snippet arrive HTML-escaped from the server with <mark> highlights only
+
+                results.innerHTML = data.results.map(r => `
+
+                    <a class="site-search-result" href="${r.url}">
+
+                        <span class="site-search-type">${typeLabels[r.type] || r.type}</span>
+
+                        <span class="site-search-title">${r.title}</span>
+
+                        <span class="site-search-snippet">${r.snippet}</span>
+
+                    </a>
+
+                `).join('');
+
+            } catch (err) {
+
+                console.error('Search failed:', err);
+
+                results.innerHTML = '<p class="site-search-empty">Search is unavailable right now</p>';
+
+            }
+
+        };
+
+
+
+        toggle.addEventListener('click', open);
+
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+
+        input.addEventListener('input', () => {
+
+            clearTimeout(debounce);
+
+            debounce = setTimeout(() => runSearch(input.value), 250);
+
+        });
+
+
+
+        document.addEventListener('keydown', (e) => {
+
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+
+            if (e.key === 'Escape' && overlay.classList.contains('open')) {
+
+                close();
+
+            } else if ((e.key === '/' && !typing) || (e.key === 'k' && (e.ctrlKey || e.metaKey))) {
+
+                e.preventDefault();
+
+                open();
+
+            }
+
+        });
+
+    }
+
+
+
+
+
     // Show skeleton loaders while API data is being fetched
 
     showSkeletonLoaders() {
@@ -915,7 +1101,7 @@ class PortfolioApp {
 
         const projGrid = document.querySelector('.projects-grid');
 
-        if (projGrid) {
+        if (projGrid && !projGrid.hasAttribute('data-prerendered')) {
 
             const skeletonCard = (isFeatured) => {
 
@@ -971,7 +1157,7 @@ class PortfolioApp {
 
         const blogGrid = document.querySelector('.blog-grid');
 
-        if (blogGrid) {
+        if (blogGrid && !blogGrid.hasAttribute('data-prerendered')) {
 
             const blogSkeleton = (isFeatured) => {
 
@@ -1029,43 +1215,27 @@ class PortfolioApp {
 
         try {
 
-            // Fetch data sequentially with small delays to avoid rate limiting
-
-            const exp = await fetch('/api/content/experience').then(r => r.json()).catch(() => []);
-
-            await this.delay(50);
-
-            const edu = await fetch('/api/content/education').then(r => r.json()).catch(() => []);
+            // Every public section in one request (GET /api/content/bootstrap)
 
-            await this.delay(50);
+            const res = await fetch('/api/content/bootstrap');
 
-            const proj = await fetch('/api/content/projects').then(r => r.json()).catch(() => []);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
-            await this.delay(50);
-
-            const blog = await fetch('/api/content/blog').then(r => r.json()).catch(() => []);
-
-            await this.delay(50);
-
-            const skills = await fetch('/api/content/skills').then(r => r.json()).catch(() => []);
-
-            await this.delay(50);
-
-            const settings = await fetch(`/api/content/settings?t=${Date.now()}`).then(r => r.json()).catch(() => []);
+            const data = await res.json();
 
             
 
-            this.renderTimelineItems('experience', exp);
+            this.renderTimelineItems('experience', data.experience);
 
-            this.renderTimelineItems('education', edu);
+            this.renderTimelineItems('education', data.education);
 
-            this.renderProjects(proj);
+            this.renderProjects(data.projects);
 
-            this.renderBlog(blog);
+            this.renderBlog(data.blog);
 
-            this.renderSkills(skills);
+            this.renderSkills(data.skills);
 
-            this.applySettings(settings);
+            this.applySettings(data.settings);
 
             this._scheduleLastNameReveal(this._heroLastName);
 
@@ -1083,16 +1253,6 @@ class PortfolioApp {
 
 
 
-    // Helper function for delays
-
-    delay(ms) {
-
-        return new Promise(resolve => setTimeout(resolve, ms));
-
-    }
-
-
-
     // Render timeline items
 
     renderTimelineItems(type, items) {
@@ -1109,6 +1269,10 @@ class PortfolioApp {
 
         if (!container) return;
 
+        // Already rendered on the server (api/prerender.js)
+
+        if (container.hasAttribute('data-prerendered')) return;
+
         
 
         // Keep the timeline line if it exists
@@ -1231,6 +1395,60 @@ class PortfolioApp {
 
     // Render projects
 
+    // Card image; uploads with responsive variants (image_set) become a <picture> with
+
+    // AVIF/WebP sources. Same markup as api/prerender.js.
+
+    createCardImage(url, alt, imageSet, featured) {
+
+        const img = document.createElement('img');
+
+        img.src = url;
+
+        img.alt = alt;
+
+        img.loading = 'lazy';
+
+        img.decoding = 'async';
+
+        img.onerror = function() { this.onerror = null; this.src = '/assets/projects/placeholder.jpg'; };
+
+        if (!imageSet) return img;
+
+        img.width = imageSet.width;
+
+        img.height = imageSet.height;
+
+        const sizes = featured ? '(max-width: 1024px) 100vw, 720px' : '(max-width: 768px) 100vw, 400px';
+
+        const formats = ['avif', 'webp'].filter(format => imageSet.srcset && imageSet.srcset[format]);
+
+        if (formats.length === 0) return img;
+
+        const picture = document.createElement('picture');
+
+        formats.forEach(format => {
+
+            const source = document.createElement('source');
+
+            source.type = `image/${format}`;
+
+            source.srcset = imageSet.srcset[format];
+
+            source.sizes = sizes;
+
+            picture.appendChild(source);
+
+        });
+
+        picture.appendChild(img);
+
+        return picture;
+
+    }
+
+
+
     renderProjects(projects) {
 
         if (!projects || projects.length === 0) return;
@@ -1241,6 +1459,10 @@ class PortfolioApp {
 
         if (!container) return;
 
+        // Already rendered on the server (api/prerender.js)
+
+        if (container.hasAttribute('data-prerendered')) return;
+
         
 
         const visibleProjects = projects.filter(p => !p.hidden);
@@ -1295,17 +1517,7 @@ class PortfolioApp {
 
                 if (project.image_url) {
 
-                    const img = document.createElement('img');
-
-                    img.src = project.image_url;
-
-                    img.alt = project.title;
-
-                    img.loading = 'lazy';
-
-                    img.onerror = function() { this.src = '/assets/projects/placeholder.jpg'; };
-
-                    imageDiv.appendChild(img);
+                    imageDiv.appendChild(this.createCardImage(project.image_url, project.title, project.image_set, true));
 
                 }
 
@@ -1433,17 +1645,7 @@ class PortfolioApp {
 
                 if (project.image_url) {
 
-                    const img = document.createElement('img');
-
-                    img.src = project.image_url;
-
-                    img.alt = project.title;
-
-                    img.loading = 'lazy';
-
-                    img.onerror = function() { this.src = '/assets/projects/placeholder.jpg'; };
-
-                    imageDiv.appendChild(img);
+                    imageDiv.appendChild(this.createCardImage(project.image_url, project.title, project.image_set, false));
 
                 }
 
@@ -1589,9 +1791,25 @@ class PortfolioApp {
 
         if (!container) return;
 
+        // Server-rendered cards (api/prerender.js) only need their click-through
+
+        if (container.hasAttribute('data-prerendered')) {
+
+            container.querySelectorAll('.blog-card[data-href]').forEach(card => {
+
+                card.onclick = () => window.location.href = card.dataset.href;
+
+            });
+
+            return;
+
+        }
+
         
 
-        const publishedPosts = posts.filter(p => p.published && !p.hidden);
+        // Admin sessions receive drafts and scheduled posts too — only render live ones
+
+        const publishedPosts = posts.filter(p => p.published && !p.hidden && (!p.publish_at || new Date(p.publish_at) <= new Date()));
 
         if (publishedPosts.length === 0) return;
 
@@ -1629,7 +1847,7 @@ class PortfolioApp {
 
             article.style.cursor = 'pointer';
 
-            article.onclick = () => window.location.href = `/blog/${post.id}`;
+            article.onclick = () => window.location.href = `/blog/${post.slug || post.id}`;
 
             
 
@@ -1647,17 +1865,7 @@ class PortfolioApp {
 
                 if (post.image_url) {
 
-                    const img = document.createElement('img');
-
-                    img.src = post.image_url;
-
-                    img.alt = post.title;
-
-                    img.loading = 'lazy';
-
-                    img.onerror = function() { this.src = '/assets/projects/placeholder.jpg'; };
-
-                    imageDiv.appendChild(img);
+                    imageDiv.appendChild(this.createCardImage(post.image_url, post.title, post.image_set, true));
 
                 }
 
@@ -1701,7 +1909,7 @@ class PortfolioApp {
 
                 const excerpt = document.createElement('p');
 
-                excerpt.textContent = post.excerpt || post.content?.substring(0, 200) + '...' || '';
+                excerpt.textContent = post.excerpt || (post.preview ? post.preview.substring(0, 200) + '...' : '');
 
                 contentDiv.appendChild(excerpt);
 
@@ -1763,7 +1971,7 @@ class PortfolioApp {
 
                 const dateSpan = document.createElement('span');
 
-                dateSpan.textContent = new Date(post.created_at).toLocaleDateString();
+                dateSpan.textContent = new Date(post.publish_at || post.created_at).toLocaleDateString();
 
                 metaDiv.appendChild(dateSpan);
 
@@ -1791,17 +1999,7 @@ class PortfolioApp {
 
                 if (post.image_url) {
 
-                    const img = document.createElement('img');
-
-                    img.src = post.image_url;
-
-                    img.alt = post.title;
-
-                    img.loading = 'lazy';
-
-                    img.onerror = function() { this.src = '/assets/projects/placeholder.jpg'; };
-
-                    imageDiv.appendChild(img);
+                    imageDiv.appendChild(this.createCardImage(post.image_url, post.title, post.image_set, false));
 
                 }
 
@@ -1825,7 +2023,7 @@ class PortfolioApp {
 
                 const excerpt = document.createElement('p');
 
-                excerpt.textContent = post.excerpt || post.content?.substring(0, 150) + '...' || '';
+                excerpt.textContent = post.excerpt || (post.preview ? post.preview.substring(0, 150) + '...' : '');
 
                 contentDiv.appendChild(excerpt);
 
@@ -1887,7 +2085,7 @@ class PortfolioApp {
 
                 dateSpan.className = 'post-date';
 
-                dateSpan.textContent = new Date(post.created_at).toLocaleDateString();
+                dateSpan.textContent = new Date(post.publish_at || post.created_at).toLocaleDateString();
 
                 metaDiv.appendChild(dateSpan);
 
@@ -1959,6 +2157,10 @@ class PortfolioApp {
 
         if (!container) return;
 
+        // Already rendered on the server (api/prerender.js)
+
+        if (container.hasAttribute('data-prerendered')) return;
+
         
 
         const visibleSkills = skills.filter(s => !s.hidden);
@@ -2023,6 +2225,10 @@ class PortfolioApp {
 
         if (!lastNameEl) return;
 
+        // The server already wrote the full name into the heading
+
+        if (lastNameEl.closest('[data-prerendered]')) return;
+
         // Use passed value, fall back to instance property or data attribute default
 
         const name = lastName || this._heroLastName || lastNameEl.dataset.lastname;
@@ -2065,7 +2271,7 @@ class PortfolioApp {
 
             const heroTitle = document.querySelector('.hero-name');
 
-            if (heroTitle) {
+            if (heroTitle && !heroTitle.hasAttribute('data-prerendered')) {
 
                 const lastNameEl = document.getElementById('hero-name-lastname');
 
@@ -0,0 +1,77 @@
+// Emoji reaction bars for blog posts and projects (api/reactions.js).
+// Reactions.load(section, ids) fetches totals for several items in one request;
+// Reactions.render(container, section, id, data) draws one item's bar from that result.
+const Reactions = (function () {
+    async function load(section, ids) {
+        if (!ids.length) return null;
+        try {
+            const res = await fetch(`/api/reactions/${section}?ids=${ids.map(encodeURIComponent).join(',')}`);
+            return res.ok ? await res.json() : null;
+        } catch (err) {
+            console.error('Error loading reactions:', err);
+            return null;
+        }
+    }
+
+    function updateButton(btn, count, pressed) {
+        btn.querySelector('.reaction-count').textContent = count > 0 ? count : '';
+        btn.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+    }
+
+    function render(container, section, id, data) {
+        container.innerHTML = '';
+        if (!data || !data.available) return;
+        const item = data.items[id] || { counts: {}, mine: [] };
+
+        container.classList.add('reaction-bar');
+        container.setAttribute('role', 'group');
+        container.setAttribute('aria-label', 'Reactions');
+
+        data.available.forEach(({ key, emoji, label }) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'reaction-btn';
+            btn.title = label;
+            btn.setAttribute('aria-label', label);
+            btn.innerHTML = '<span class="reaction-emoji" aria-hidden="true"></span><span class="reaction-count"></span>';
+            btn.querySelector('.reaction-emoji').textContent = emoji;
+            updateButton(btn, item.counts[key] || 0, item.mine.includes(key));
+
+            btn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                btn.disabled = true;
+                try {
+                    const res = await fetch(`/api/reactions/${section}/${encodeURIComponent(id)}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ reaction: key })
+                    });
+                    const result = await res.json();
+                    if (!res.ok) throw new Error(result.error || `HTTP ${res.status}`);
+
+                    // Refresh every count — others may have reacted since the page loaded
+                    container.querySelectorAll('.reaction-btn').forEach((other, i) => {
+                        const otherKey = data.available[i].key;
+                        updateButton(other, result.counts[otherKey] || 0, result.mine.includes(otherKey));
+                    });
+                    data.items[id] = { counts: result.counts, mine: result.mine };
+                    if (result.reacted) {
+                        btn.classList.remove('reaction-pop');
+                        void btn.offsetWidth; // restart the animation
+                        btn.classList.add('reaction-pop');
+                    }
+                } catch (err) {
+                    console.error('Error saving reaction:', err);
+                    btn.title = err.message;
+                } finally {
+                    btn.disabled = false;
+                }
+            });
+
+            container.appendChild(btn);
+        });
+    }
+
+    return { load, render };
+})();
@@ -10,6 +10,12 @@ const multer = require('multer');
 const cors = require('cors');
 const { initialize } = require('./database/db');
 const SQLiteRateLimitStore = require('./api/rate-limit-store');
+const { BLOG_LIVE_SQL } = require('./api/visibility');
+const { siteUrl } = require('./api/site-utils');
+const { renderBlogPost, renderHomepage } = require('./api/prerender');
+const { processUpload, processExistingImages } = require('./api/images');
+const { verifyUpload, logRejection } = require('./api/upload-checks');
+const storage = require('./api/storage');
 
 const app = express();
 
@@ -56,9 +62,11 @@ app.use(helmet({
 
 // Helper: read an HTML file, inject nonce onto inline <script> tags, and send it.
 // Matches <script> and <script type="..."> but skips ld+json and already-nonced tags.
-function sendNoncedHtml(res, filePath) {
+// An optional transform(html) can fill in page-specific markup first.
+function sendNoncedHtml(res, filePath, transform) {
     fs.readFile(filePath, 'utf8', (err, html) => {
         if (err) return res.status(500).send('Error loading page');
+        if (transform) html = transform(html);
         const nonce = res.locals.cspNonce;
         // Replace opening <script> tags that have no nonce and no src (inline scripts)
         // and are not JSON-LD blocks
@@ -86,9 +94,14 @@ app.use(cors({
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
-// Serve index.html explicitly so the nonce gets injected before static middleware claims it
+// Serve index.html explicitly so the nonce gets injected before static middleware claims it.
+// The homepage sections are pre-rendered from the same data as /api/content/bootstrap;
+// if that fails the page still goes out and main.js builds them in the browser.
 app.get('/', (req, res) => {
-    sendNoncedHtml(res, path.join(__dirname, 'index.html'));
+    contentRouter.loadHomepageContent((err, content) => {
+        if (err) console.error('Error pre-rendering homepage:', err);
+        sendNoncedHtml(res, path.join(__dirname, 'index.html'), err ? null : (html) => renderHomepage(html, content));
+    });
 });
 
 // Serve only public-facing directories (never the project root — that exposes server source code)
@@ -118,6 +131,28 @@ const contactLimiter = rateLimit({
     skip: (req) => req.method !== 'POST'
 });
 
+// Blog comment rate limiting — 10 comments per hour per IP
+const commentLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: { error: 'Too many comments posted. Please try again in an hour.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new SQLiteRateLimitStore({ prefix: 'comment:' }),
+    skip: (req) => req.method !== 'POST'
+});
+
+// Reaction rate limiting — 30 reaction toggles per 15 minutes per IP
+const reactionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: { error: 'Too many reactions. Please slow down and try again shortly.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new SQLiteRateLimitStore({ prefix: 'reaction:' }),
+    skip: (req) => req.method !== 'POST'
+});
+
 // Password reset code verification — stricter limit (3 attempts per 15 min)
 const resetCodeLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -138,34 +173,23 @@ const apiLimiter = rateLimit({
     skip: (req) => req.method === 'GET' // Skip GET requests only
 });
 
-// Upload directory — use UPLOAD_PATH env var for persistent disk (e.g. Render), fallback to local ./uploads
-const UPLOAD_DIR = process.env.UPLOAD_PATH || path.join(__dirname, 'uploads');
-
-// File upload configuration
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = UPLOAD_DIR;
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        cb(null, uploadPath);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        // Use mimetype-derived extension, never trust originalname for extension
-        const mimeToExt = {
-            'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png',
-            'image/gif': '.gif', 'image/webp': '.webp',
-            'application/pdf': '.pdf', 'application/msword': '.doc',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
-        };
-        const safeExt = mimeToExt[file.mimetype] || '.bin';
-        cb(null, file.fieldname + '-' + uniqueSuffix + safeExt);
-    }
-});
+// File upload configuration — files are held in memory until they pass the checks, then
+// written to the storage driver (local disk or an S3-compatible bucket, see api/storage.js)
+const uploadFilename = (file) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    // Use mimetype-derived extension, never trust originalname for extension
+    const mimeToExt = {
+        'image/jpeg': '.jpg', 'image/jpg': '.jpg', 'image/png': '.png',
+        'image/gif': '.gif', 'image/webp': '.webp',
+        'application/pdf': '.pdf', 'application/msword': '.doc',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+    };
+    const safeExt = mimeToExt[file.mimetype] || '.bin';
+    return file.fieldname + '-' + uniqueSuffix + safeExt;
+};
 
 const upload = multer({
-    storage: storage,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
     },
@@ -181,7 +205,10 @@ const upload = multer({
         if (isImage || isDocument) {
             return cb(null, true);
         } else {
-            cb(new Error('Only images (jpeg, jpg, png, gif, webp) or resume documents (pdf, doc, docx) are allowed'));
+            logRejection(req, file, `Type ${file.mimetype} with extension "${ext}" is not allowed`);
+            const error = new Error('Only images (jpeg, jpg, png, gif, webp) or resume documents (pdf, doc, docx) are allowed');
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            cb(error);
         }
     }
 });
@@ -284,6 +311,8 @@ app.use('/api/auth/request-password-reset', authLimiter);
 app.use('/api/auth/reset-password', resetCodeLimiter);
 // Apply contact form rate limiting
 app.use('/api/contact', contactLimiter);
+app.use('/api/content/blog/:id/comments', commentLimiter);
+app.use('/api/reactions', reactionLimiter);
 
 // Apply general API rate limiting
 app.use('/api', apiLimiter);
@@ -291,71 +320,151 @@ app.use('/api', apiLimiter);
 // API Routes
 const authRouter = require('./api/auth');
 app.use('/api/auth', authRouter);
-app.use('/api/content', require('./api/content'));
+// Comments: public routes under /api/content/blog/:id/comments, moderation under /api/comments
+app.use('/api', require('./api/comments'));
+const contentRouter = require('./api/content');
+app.use('/api/content', contentRouter);
 app.use('/api/contact', require('./api/contact'));
-
-// Serve uploaded files with fallback
-// Block direct access to sensitive document types — force download via /download/cv
-app.use('/uploads', (req, res, next) => {
-    const ext = path.extname(req.path).toLowerCase();
+const searchRouter = require('./api/search');
+app.use('/api/search', searchRouter);
+const tagsRouter = require('./api/tags');
+app.use('/api/tags', tagsRouter);
+const analyticsRouter = require('./api/analytics');
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/reactions', require('./api/reactions'));
+const mediaRouter = require('./api/media');
+app.use('/api/media', mediaRouter);
+const feedsRouter = require('./api/feeds');
+
+// Serve uploaded files from the storage driver, with a placeholder for missing ones
+// AVIF image variants — the bundled mime table predates the format
+express.static.mime.define({ 'image/avif': ['avif'] });
+app.get('/uploads/:filename', (req, res, next) => {
+    const filename = req.params.filename;
+    // Block direct access to sensitive document types — force download via /download/cv
+    const ext = path.extname(filename).toLowerCase();
     if (['.pdf', '.doc', '.docx'].includes(ext)) {
         return res.status(403).send('Direct access to documents is not allowed');
     }
-    next();
-}, express.static(UPLOAD_DIR, {
-    maxAge: '1d', // Cache for 1 day
-    setHeaders: (res, filePath) => {
-        // Add fallback for missing images
-        if (filePath.endsWith('.jpg') || filePath.endsWith('.png') || filePath.endsWith('.webp')) {
-            res.on('finish', () => {
-                if (res.statusCode === 404) {
-                    console.log('Missing uploaded file:', filePath);
-                }
-            });
-        }
-    }
-}));
+    // Dotfiles are never served (nor is anything in a folder, such as the upload quarantine)
+    const sending = filename.startsWith('.')
+        ? Promise.resolve(false)
+        : storage.send(req, res, filename, { maxAge: 24 * 60 * 60 }); // Cache for 1 day
+    sending
+        .then(sent => {
+            if (sent) return;
+            if (/\.(jpg|png|webp)$/.test(filename)) console.log('Missing uploaded file:', filename);
+            const placeholderPath = path.join(__dirname, 'assets', 'projects', 'placeholder.svg');
+            if (fs.existsSync(placeholderPath)) {
+                res.sendFile(placeholderPath);
+            } else {
+                res.status(404).json({ error: 'File not found' });
+            }
+        })
+        .catch(next);
+});
+
+// Downloads can go through signed links that stop working after SIGNED_DOWNLOAD_TTL seconds
+// (a presigned bucket URL with the S3 driver, /download/file/... with the local one)
+const SIGNED_DOWNLOADS = process.env.SIGNED_DOWNLOADS === 'true';
+const SIGNED_DOWNLOAD_TTL = parseInt(process.env.SIGNED_DOWNLOAD_TTL, 10) || 300;
 
 // CV download route - forces browser to download rather than open inline
-app.get('/download/cv', (req, res) => {
+app.get('/download/cv', (req, res, next) => {
     const { db } = require('./database/db');
-    db.get("SELECT value FROM settings WHERE key = 'hero_cv_url'", [], (err, row) => {
+    db.get("SELECT value FROM settings WHERE key = 'hero_cv_url'", [], async (err, row) => {
         if (err || !row || !row.value) {
             return res.status(404).send('CV not available');
         }
-        const cvUrl = row.value;
-        // cvUrl is a relative path like /uploads/filename.pdf
-        const cvPath = path.resolve(UPLOAD_DIR, path.basename(cvUrl));
-        // Prevent directory traversal — resolved path must stay inside the uploads folder
-        const uploadsDir = path.resolve(UPLOAD_DIR);
-        if (!cvPath.startsWith(uploadsDir + path.sep) && cvPath !== uploadsDir) {
+        // cvUrl is a relative path like /uploads/filename.pdf — only the file name is used,
+        // so the lookup can't leave the uploads
+        const key = path.basename(row.value);
+        if (key.startsWith('.')) {
             return res.status(403).send('Invalid CV path');
         }
-        if (!fs.existsSync(cvPath)) {
-            return res.status(404).send('CV file not found');
-        }
-        const ext = path.extname(cvPath) || '.pdf';
+        const ext = path.extname(key) || '.pdf';
         const filename = `Bishwash_Acharya_Data_Science_Resume${ext}`;
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.sendFile(cvPath);
+        try {
+            if (SIGNED_DOWNLOADS) {
+                if (!await storage.stat(key)) {
+                    return res.status(404).send('CV file not found');
+                }
+                res.setHeader('Cache-Control', 'no-store');
+                return res.redirect(await storage.signedUrl(key, { download: filename, expiresIn: SIGNED_DOWNLOAD_TTL }));
+            }
+            if (!await storage.send(req, res, key, { download: filename })) {
+                res.status(404).send('CV file not found');
+            }
+        } catch (sendErr) {
+            next(sendErr);
+        }
     });
 });
 
+// Signed download links of the local storage driver
+app.get('/download/file/:key', (req, res, next) => {
+    const signed = storage.verifySignedUrl(req.params.key, req.query);
+    if (!signed) {
+        return res.status(403).send('This download link is invalid or has expired');
+    }
+    storage.send(req, res, req.params.key, { download: signed.download || undefined })
+        .then(sent => {
+            if (!sent) res.status(404).send('File not found');
+        })
+        .catch(next);
+});
+
 // File upload routes - PROTECTED: admin only
+// The file's content must match its declared type (see api/upload-checks.js). Images are
+// then stripped of their metadata and get responsive variants (see api/images.js); the
+// response carries the srcset manifest as `image`. Every upload joins the media library.
+async function handleUpload(req, res) {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Refused files were only ever in memory — nothing to clean up
+    const reject = (reason, detectedType) => {
+        logRejection(req, req.file, reason, detectedType);
+        res.status(400).json({ error: `Upload rejected: ${reason}` });
+    };
+    let fileUrl;
+    let image = null;
+    try {
+        const verdict = await verifyUpload(req.file);
+        if (verdict.reason) return reject(verdict.reason, verdict.detectedType);
+        req.file.mimetype = verdict.type;
+        const filename = uploadFilename(req.file);
+        fileUrl = `/uploads/${filename}`;
+
+        if (req.file.mimetype.startsWith('image/')) {
+            const processed = await processUpload(fileUrl, req.file.buffer);
+            if (!processed) return reject('The image could not be decoded', req.file.mimetype);
+            image = processed.image;
+            // Size and hash in the media library describe the stripped file
+            req.file.buffer = processed.data;
+        } else {
+            await storage.put(filename, req.file.buffer, req.file.mimetype);
+        }
+    } catch (err) {
+        console.error('Error processing upload:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    mediaRouter.recordUpload(req.file, fileUrl, req.session.username || 'admin', (err, upload) => {
+        if (err) {
+            console.error('Error recording upload:', err);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        res.json({ url: fileUrl, id: upload.id, ...(image ? { image } : {}) });
+    });
+}
+
 app.post('/api/upload', (req, res, next) => {
     if (!req.session.isAdmin) {
         return res.status(401).json({ error: 'Unauthorized: Admin access required' });
     }
     next();
-}, upload.single('image'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-    }
-    
-    const fileUrl = `/uploads/${req.file.filename}`;
-    res.json({ url: fileUrl });
-});
+}, upload.single('image'), handleUpload);
 
 // Alias for admin upload (same handler)
 app.post('/api/upload/admin', (req, res, next) => {
@@ -363,12 +472,7 @@ app.post('/api/upload/admin', (req, res, next) => {
         return res.status(401).json({ error: 'Unauthorized' });
     }
     next();
-}, upload.single('image'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-    }
-    res.json({ url: `/uploads/${req.file.filename}` });
-});
+}, upload.single('image'), handleUpload);
 
 // Admin routes - serve admin files (path is configurable via ADMIN_PATH env var)
 app.get(ADMIN_PATH, (req, res) => {
@@ -403,8 +507,53 @@ app.get('/blogs', (req, res) => {
     sendNoncedHtml(res, path.join(__dirname, 'blog-list.html'));
 });
 
-app.get('/blog/:id', (req, res) => {
-    sendNoncedHtml(res, path.join(__dirname, 'blog-detail.html'));
+// Tag pages reuse the list pages, which read the tag from the URL.
+// Slugs of renamed or merged tags 301 to the current one.
+function sendTagPage(prefix, file, withFeeds) {
+    return (req, res, next) => {
+        tagsRouter.resolveTag(req.params.slug, (err, tag) => {
+            if (err) return next(err);
+            if (!tag) {
+                res.status(404);
+                return sendNoncedHtml(res, path.join(__dirname, '404.html'));
+            }
+            if (!tag.canonical) return res.redirect(301, `${prefix}/${encodeURIComponent(tag.slug)}`);
+            // Blog tag pages also advertise the tag's own feeds
+            const addFeedLinks = withFeeds
+                ? html => html.replace('</head>', () => `    ${feedsRouter.feedLinks(tag)}\n</head>`)
+                : null;
+            sendNoncedHtml(res, path.join(__dirname, file), addFeedLinks);
+        });
+    };
+}
+
+app.get('/blog/tag/:slug', sendTagPage('/blog/tag', 'blog-list.html', true));
+
+// Canonical post URL is /blog/:slug — UUID links and renamed slugs 301 to it.
+// Drafts and hidden posts 404 unless viewed by an admin or via a signed ?preview= link.
+app.get('/blog/:slug', (req, res, next) => {
+    contentRouter.resolveSlug(req, 'blog', req.params.slug, (err, post) => {
+        if (err) return next(err);
+        if (!post) {
+            res.status(404);
+            return sendNoncedHtml(res, path.join(__dirname, '404.html'));
+        }
+        if (!post.canonical) {
+            const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+            return res.redirect(301, `/blog/${encodeURIComponent(post.slug)}${query}`);
+        }
+        if (req.query.preview) {
+            res.set('Cache-Control', 'no-store');
+            res.set('X-Robots-Tag', 'noindex');
+        }
+        // Render meta tags, JSON-LD and the article into the page; the client script re-renders on load
+        const { db } = require('./database/db');
+        db.get('SELECT * FROM blog WHERE id = ?', [post.id], (fetchErr, row) => {
+            if (fetchErr) return next(fetchErr);
+            const baseUrl = siteUrl(req);
+            sendNoncedHtml(res, path.join(__dirname, 'blog-detail.html'), html => renderBlogPost(html, row, baseUrl));
+        });
+    });
 });
 
 // Projects routes
@@ -416,16 +565,21 @@ app.get('/projects-list', (req, res) => {
     sendNoncedHtml(res, path.join(__dirname, 'projects-list.html'));
 });
 
+app.get('/projects/tag/:slug', sendTagPage('/projects/tag', 'projects-list.html'));
+
+// RSS, Atom and JSON feeds (site-wide and per tag)
+app.use(feedsRouter);
+
 // Sitemap.xml
 app.get('/sitemap.xml', (req, res) => {
     const { db } = require('./database/db');
     const proto = process.env.NODE_ENV === 'production' ? 'https' : req.protocol;
     const baseUrl = `${proto}://${req.get('host')}`;
     
-    db.all(`SELECT id, created_at FROM blog WHERE hidden = 0 AND published = 1 ORDER BY created_at DESC`, [], (err, posts) => {
+    db.all(`SELECT slug, COALESCE(publish_at, created_at) AS published_at FROM blog WHERE deleted_at IS NULL AND hidden = 0 AND ${BLOG_LIVE_SQL} ORDER BY published_at DESC`, [], (err, posts) => {
         const blogUrls = (posts || []).map(p => {
-            const lastmod = new Date(p.created_at).toISOString().split('T')[0];
-            return `  <url><loc>${baseUrl}/blog/${p.id}</loc><lastmod>${lastmod}</lastmod><changefreq>monthly</changefreq><priority>0.6</priority></url>`;
+            const lastmod = new Date(p.published_at).toISOString().split('T')[0];
+            return `  <url><loc>${baseUrl}/blog/${encodeURIComponent(p.slug)}</loc><lastmod>${lastmod}</lastmod><changefreq>monthly</changefreq><priority>0.6</priority></url>`;
         }).join('\n');
 
         const today = new Date().toISOString().split('T')[0];
@@ -442,23 +596,6 @@ ${blogUrls}
     });
 });
 
-// Fallback for missing uploaded images — must be before the wildcard GET* route
-app.use('/uploads/:filename', (req, res, next) => {
-    const filename = req.params.filename;
-    const filePath = path.join(UPLOAD_DIR, filename);
-    
-    if (fs.existsSync(filePath)) {
-        return next();
-    }
-    
-    const placeholderPath = path.join(__dirname, 'assets', 'projects', 'placeholder.svg');
-    if (fs.existsSync(placeholderPath)) {
-        res.sendFile(placeholderPath);
-    } else {
-        res.status(404).json({ error: 'File not found' });
-    }
-});
-
 // Serve 404 page for unknown routes
 app.get('*', (req, res) => {
     res.status(404);
@@ -467,7 +604,9 @@ app.get('*', (req, res) => {
 
 // Error handling — JSON for API routes, user-friendly HTML for browser requests
 app.use((err, req, res, next) => {
-    if (err instanceof multer.MulterError) {
+    if (err instanceof multer.MulterError || err.code === 'UNSUPPORTED_FILE_TYPE') {
+        // Type refusals are logged by the file filter itself
+        if (err instanceof multer.MulterError) logRejection(req, null, err.message);
         return res.status(400).json({ error: `Upload error: ${err.message}` });
     }
     console.error(err.stack);
@@ -529,7 +668,10 @@ const startServer = async () => {
         // 2) Init admin credentials (fully awaited — no race condition)
         await authRouter.initializeCredentials();
 
-        // 3) Only now start accepting requests
+        // 3) Rebuild the full-text search index from the content tables
+        await searchRouter.rebuildSearchIndex();
+
+        // 4) Only now start accepting requests
         app.listen(PORT, () => {
             console.log(`Server running on http://localhost:${PORT}`);
             console.log(`Admin panel: http://localhost:${PORT}${ADMIN_PATH}`);
@@ -539,6 +681,26 @@ const startServer = async () => {
             // Run backup immediately on start, then every 24 hours
             runDailyBackup();
             setInterval(runDailyBackup, 24 * 60 * 60 * 1000);
+            // Permanently remove trash entries past their retention period (and their uploads)
+            contentRouter.purgeExpiredTrash();
+            setInterval(contentRouter.purgeExpiredTrash, 24 * 60 * 60 * 1000);
+            // Roll page views past the longest analytics range into daily totals
+            const rollUpPageViews = () => analyticsRouter.rollUpPageViews()
+                .then(removed => { if (removed > 0) console.log(`Analytics: rolled ${removed} old page view(s) into daily totals`); })
+                .catch(err => console.error('Page view roll-up failed:', err));
+            rollUpPageViews();
+            setInterval(rollUpPageViews, 24 * 60 * 60 * 1000);
+            // Fill the rendered Markdown cache for posts saved before (or by an older) renderer
+            contentRouter.refreshRenderedContent();
+            // Responsive variants and media library records for files uploaded before either existed,
+            // then the orphaned-upload collector — now and every 24 hours
+            const collectOrphanedUploads = () => mediaRouter.collectOrphanedUploads()
+                .catch(err => console.error('Upload cleanup failed:', err));
+            processExistingImages()
+                .then(mediaRouter.registerExistingUploads)
+                .catch(err => console.error('Error processing existing uploads:', err))
+                .then(collectOrphanedUploads);
+            setInterval(collectOrphanedUploads, 24 * 60 * 60 * 1000);
         });
     } catch (err) {
         console.error('FATAL: Server failed to start:', err);
@@ -0,0 +1,244 @@
+// Storage drivers (api/storage-local.js, api/storage-s3.js) against the same checks. The S3
+// driver talks to an in-process stub of the S3 API (path-style, like MinIO), or to a real
+// MinIO-style server when S3_TEST_ENDPOINT is set:
+//
+//   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=test \
+//   S3_TEST_ACCESS_KEY_ID=minio S3_TEST_SECRET_ACCESS_KEY=minio123 npm test
+//
+// (the bucket must exist; the tests use keys under a random prefix and remove them again).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../api/storage-local');
+const S3Storage = require('../api/storage-s3');
+
+const STUB_BUCKET = 'portfolio-test';
+// Small pages, so listing has to follow continuation tokens
+const STUB_PAGE_SIZE = 2;
+
+function xmlEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Just enough of the S3 REST API for the driver: PUT (and copy), GET, HEAD and DELETE of
+ * objects and ListObjectsV2, all path-style (/<bucket>/<key>). Signatures aren't checked.
+ * Resolves to { endpoint, close }.
+ */
+function startS3Stub() {
+    const objects = new Map();
+
+    const sendError = (res, status, code) => {
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+    };
+
+    const listObjects = (res, query) => {
+        const prefix = query.get('prefix') || '';
+        const delimiter = query.get('delimiter') || '';
+        const entries = [];
+        const prefixes = new Set();
+        [...objects.keys()].sort().filter(key => key.startsWith(prefix)).forEach(key => {
+            const rest = key.slice(prefix.length);
+            const cut = delimiter ? rest.indexOf(delimiter) : -1;
+            if (cut === -1) entries.push(key);
+            else prefixes.add(prefix + rest.slice(0, cut + 1));
+        });
+        const start = parseInt(query.get('continuation-token') || '0', 10);
+        const page = entries.slice(start, start + STUB_PAGE_SIZE);
+        const truncated = start + STUB_PAGE_SIZE < entries.length;
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">
+<Name>${STUB_BUCKET}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>
+<MaxKeys>${STUB_PAGE_SIZE}</MaxKeys><IsTruncated>${truncated}</IsTruncated>
+${truncated ? `<NextContinuationToken>${start + STUB_PAGE_SIZE}</NextContinuationToken>` : ''}
+${page.map(key => {
+        const object = objects.get(key);
+        return `<Contents><Key>${xmlEscape(key)}</Key><LastModified>${object.modified.toISOString()}</LastModified><ETag>"${object.etag}"</ETag><Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join('\n')}
+${start === 0 ? [...prefixes].map(p => `<CommonPrefixes><Prefix>${xmlEscape(p)}</Prefix></CommonPrefixes>`).join('\n') : ''}
+</ListBucketResult>`);
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        if (bucket !== STUB_BUCKET) return sendError(res, 404, 'NoSuchBucket');
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            if (!key) {
+                if (req.method === 'GET' && url.searchParams.get('list-type') === '2') return listObjects(res, url.searchParams);
+                return sendError(res, 400, 'InvalidRequest');
+            }
+            const object = objects.get(key);
+            if (req.method === 'PUT') {
+                const copySource = req.headers['x-amz-copy-source'];
+                let stored;
+                if (copySource) {
+                    const sourceKey = decodeURIComponent(copySource).replace(/^\//, '').slice(STUB_BUCKET.length + 1);
+                    const source = objects.get(sourceKey);
+                    if (!source) return sendError(res, 404, 'NoSuchKey');
+                    stored = { ...source, modified: new Date() };
+                } else {
+                    const body = Buffer.concat(chunks);
+                    stored = {
+                        body,
+                        type: req.headers['content-type'] || 'binary/octet-stream',
+                        etag: crypto.createHash('md5').update(body).digest('hex'),
+                        modified: new Date()
+                    };
+                }
+                objects.set(key, stored);
+                res.writeHead(200, { ETag: `"${stored.etag}"`, 'Content-Type': 'application/xml' });
+                return res.end(copySource
+                    ? `<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult><LastModified>${stored.modified.toISOString()}</LastModified><ETag>"${stored.etag}"</ETag></CopyObjectResult>`
+                    : '');
+            }
+            if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.writeHead(204);
+                return res.end();
+            }
+            if (req.method === 'GET' || req.method === 'HEAD') {
+                if (!object) {
+                    if (req.method === 'HEAD') { res.writeHead(404); return res.end(); }
+                    return sendError(res, 404, 'NoSuchKey');
+                }
+                res.writeHead(200, {
+                    'Content-Type': object.type,
+                    'Content-Length': object.body.length,
+                    ETag: `"${object.etag}"`,
+                    'Last-Modified': object.modified.toUTCString()
+                });
+                return res.end(req.method === 'GET' ? object.body : undefined);
+            }
+            sendError(res, 405, 'MethodNotAllowed');
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            endpoint: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+// The same checks for every driver; `getStorage()` is called once its setup has run
+function storageContract(getStorage) {
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+    it('stores and reads back a file', async () => {
+        const storage = getStorage();
+        await storage.put('image-1.png', png, 'image/png');
+        assert.deepEqual(await storage.get('image-1.png'), png);
+        const stat = await storage.stat('image-1.png');
+        assert.equal(stat.size, png.length);
+        assert.ok(stat.modified instanceof Date);
+    });
+
+    it('reports a missing file as ENOENT from get() and null from stat()', async () => {
+        const storage = getStorage();
+        await assert.rejects(storage.get('missing.png'), { code: 'ENOENT' });
+        assert.equal(await storage.stat('missing.png'), null);
+    });
+
+    it('lists the files directly under a folder, without dotfiles', async () => {
+        const storage = getStorage();
+        await storage.put('image-2.png', png, 'image/png');
+        await storage.put('image-3.png', png, 'image/png');
+        await storage.put('.hidden', png);
+        await storage.put('.quarantine/image-4.png', png, 'image/png');
+
+        const top = await storage.list('');
+        assert.deepEqual([...top.keys()].sort(), ['image-1.png', 'image-2.png', 'image-3.png']);
+        assert.equal(top.get('image-2.png').size, png.length);
+        assert.deepEqual([...(await storage.list('.quarantine')).keys()], ['image-4.png']);
+        assert.equal((await storage.list('nothing-here')).size, 0);
+    });
+
+    it('moves a file into and out of a folder', async () => {
+        const storage = getStorage();
+        await storage.move('image-3.png', '.quarantine/image-3.png');
+        assert.equal(await storage.stat('image-3.png'), null);
+        assert.deepEqual(await storage.get('.quarantine/image-3.png'), png);
+
+        await storage.move('.quarantine/image-3.png', 'image-3.png');
+        assert.deepEqual(await storage.get('image-3.png'), png);
+        await assert.rejects(storage.move('missing.png', 'elsewhere.png'), { code: 'ENOENT' });
+    });
+
+    it('deletes files, and treats deleting a missing file as done', async () => {
+        const storage = getStorage();
+        for (const key of ['image-1.png', 'image-2.png', 'image-3.png', '.hidden', '.quarantine/image-4.png']) {
+            await storage.remove(key);
+        }
+        await storage.remove('missing.png');
+        assert.equal(await storage.stat('image-1.png'), null);
+        assert.equal((await storage.list('')).size, 0);
+    });
+}
+
+describe('local storage driver', () => {
+    let dir;
+    let storage;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+        storage = new LocalStorage({ dir });
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    storageContract(() => storage);
+
+    it('refuses keys outside the upload directory', async () => {
+        await assert.rejects(storage.get('../outside.png'), { code: 'EINVAL' });
+    });
+
+    it('signs download links that expire and cannot be altered', async () => {
+        const link = new URL(await storage.signedUrl('cv.pdf', { download: 'Resume.pdf', expiresIn: 60 }), 'http://site');
+        assert.equal(link.pathname, '/download/file/cv.pdf');
+        const query = Object.fromEntries(link.searchParams);
+        assert.deepEqual(storage.verifySignedUrl('cv.pdf', query), { download: 'Resume.pdf' });
+        assert.equal(storage.verifySignedUrl('other.pdf', query), null);
+        assert.equal(storage.verifySignedUrl('cv.pdf', { ...query, download: 'Other.pdf' }), null);
+        assert.equal(storage.verifySignedUrl('cv.pdf', { ...query, expires: String(Math.floor(Date.now() / 1000) - 1) }), null);
+    });
+});
+
+describe('S3 storage driver', () => {
+    let stub;
+    let storage;
+    before(async () => {
+        if (!process.env.S3_TEST_ENDPOINT) stub = await startS3Stub();
+        storage = new S3Storage({
+            bucket: stub ? STUB_BUCKET : process.env.S3_TEST_BUCKET,
+            endpoint: stub ? stub.endpoint : process.env.S3_TEST_ENDPOINT,
+            forcePathStyle: true,
+            accessKeyId: stub ? 'test' : process.env.S3_TEST_ACCESS_KEY_ID,
+            secretAccessKey: stub ? 'test' : process.env.S3_TEST_SECRET_ACCESS_KEY,
+            prefix: `storage-test-${crypto.randomBytes(4).toString('hex')}/`
+        });
+    });
+    after(async () => {
+        storage.client.destroy();
+        if (stub) await stub.close();
+    });
+
+    storageContract(() => storage);
+
+    it('presigns download links with an expiry and the download name', async () => {
+        const link = new URL(await storage.signedUrl('cv.pdf', { download: 'Resume.pdf', expiresIn: 120 }));
+        assert.equal(link.pathname, `/${storage.bucket}/${storage.prefix}cv.pdf`);
+        assert.equal(link.searchParams.get('X-Amz-Expires'), '120');
+        assert.equal(link.searchParams.get('response-content-disposition'), 'attachment; filename="Resume.pdf"');
+        assert.ok(link.searchParams.get('X-Amz-Signature'));
+    });
+});